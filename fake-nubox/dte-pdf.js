@@ -0,0 +1,100 @@
+// Build a one-page PDF laid out like a Nubox DTE (factura electrónica), for the fake
+// Nubox server and the tests. Text is written with the standard Helvetica font, so
+// pdf2json reads it back without any embedded font data. The Timbre Electrónico is drawn
+// as a PDF417 barcode at the bottom left, like on a printed DTE.
+
+const DEFAULT_DTE = {
+  emisorRazonSocial: 'COMERCIAL LOS ANDES SPA',
+  emisorRut: '76.543.212-K',
+  documentTitle: 'FACTURA ELECTRONICA',
+  tipoDte: 33,
+  folio: '12345',
+  receptorRazonSocial: 'JUAN PEREZ GONZALEZ',
+  receptorRut: '4.835.956-6',
+  fechaEmision: '15 de diciembre de 2025',
+  neto: '100.000',
+  exento: '0',
+  iva: '19.000',
+  total: '119.000',
+  // Line items: in the XML DTE, and the first one in the TED
+  detalle: [
+    { nombre: 'Asesoría contable', descripcion: 'Servicio mensual diciembre', cantidad: 1, unidad: 'UN', precio: 80000 },
+    { nombre: 'Emisión de boletas', cantidad: 4, unidad: 'HR', precio: 5000 }
+  ]
+};
+
+const { buildTed, pdf417Operators } = require('./ted');
+
+// Escape text for a PDF string literal
+function escapePdfText(text) {
+  return text.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+// Render [{ x, y, text }] as a PDF (WinAnsi encoded, so Spanish accents survive), over
+// graphics (content-stream operators)
+function renderPdf(lines, graphics = '') {
+  const operations = graphics ? [graphics, 'BT /F1 10 Tf'] : ['BT /F1 10 Tf'];
+  lines.forEach(({ x, y, text }) => {
+    operations.push(`1 0 0 1 ${x} ${y} Tm (${escapePdfText(text)}) Tj`);
+  });
+  operations.push('ET');
+  const content = Buffer.from(operations.join('\n'), 'latin1');
+
+  const objects = [
+    Buffer.from('<< /Type /Catalog /Pages 2 0 R >>'),
+    Buffer.from('<< /Type /Pages /Kids [3 0 R] /Count 1 >>'),
+    Buffer.from('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R ' +
+      '/Resources << /Font << /F1 5 0 R >> >> >>'),
+    Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} >>\nstream\n`),
+      content,
+      Buffer.from('\nendstream')
+    ]),
+    Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n')];
+  let length = chunks[0].length;
+  const offsets = objects.map((object, index) => {
+    const offset = length;
+    const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), object, Buffer.from('\nendobj\n')]);
+    chunks.push(chunk);
+    length += chunk.length;
+    return offset;
+  });
+
+  const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f\r\n']
+    .concat(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n\r\n`))
+    .join('');
+  const trailer = `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+  chunks.push(Buffer.from(xref + trailer));
+
+  return Buffer.concat(chunks);
+}
+
+// Build a DTE PDF; fields override DEFAULT_DTE, and fields.ted the TED XML in the barcode
+// (default: the TED of the DTE itself, null for no barcode)
+function buildDtePdf(fields = {}) {
+  const dte = { ...DEFAULT_DTE, ...fields };
+  const ted = dte.ted !== undefined ? dte.ted : buildTed(dte);
+  const timbre = ted === null ? [] : [
+    { x: 40, y: 45, text: 'Timbre Electrónico SII' },
+    { x: 40, y: 32, text: 'Verifique documento: www.sii.cl' }
+  ];
+  return renderPdf([
+    { x: 40, y: 750, text: dte.emisorRazonSocial },
+    { x: 400, y: 750, text: `R.U.T.: ${dte.emisorRut}` },
+    { x: 400, y: 735, text: dte.documentTitle },
+    { x: 400, y: 720, text: `N° ${dte.folio}` },
+    { x: 40, y: 650, text: `Señor(es): ${dte.receptorRazonSocial}` },
+    { x: 40, y: 635, text: `RUT: ${dte.receptorRut}` },
+    { x: 40, y: 620, text: `Fecha Emisión: ${dte.fechaEmision}` },
+    { x: 300, y: 200, text: `Monto Neto $ ${dte.neto}` },
+    { x: 300, y: 185, text: `Monto Exento $ ${dte.exento}` },
+    { x: 300, y: 170, text: `IVA 19% $ ${dte.iva}` },
+    { x: 300, y: 155, text: `Total $ ${dte.total}` },
+    ...timbre
+  ], ted === null ? '' : pdf417Operators(ted, 40, 60));
+}
+
+module.exports = { DEFAULT_DTE, buildDtePdf, renderPdf };
@@ -0,0 +1,59 @@
+// Build the SII XML of the DTE that dte-pdf.js lays out, for the fake Nubox server and the
+// tests. Encoded as ISO-8859-1 like the XML the SII and Nubox hand out.
+
+const { DEFAULT_DTE } = require('./dte-pdf');
+const { buildTed, isoDate, withoutDots } = require('./ted');
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Build a DTE XML; fields override DEFAULT_DTE, and fields.ted the TED XML (default: the
+// TED of the DTE itself)
+function buildDteXml(fields = {}) {
+  const dte = { ...DEFAULT_DTE, ...fields };
+  const lineas = dte.detalle.map((item, index) => `
+      <Detalle>
+        <NroLinDet>${index + 1}</NroLinDet>
+        <NmbItem>${escapeXml(item.nombre)}</NmbItem>${item.descripcion ? `
+        <DscItem>${escapeXml(item.descripcion)}</DscItem>` : ''}
+        <QtyItem>${item.cantidad}</QtyItem>
+        <UnmdItem>${item.unidad}</UnmdItem>
+        <PrcItem>${item.precio}</PrcItem>
+        <MontoItem>${item.cantidad * item.precio}</MontoItem>
+      </Detalle>`).join('');
+
+  const xml = `<?xml version="1.0" encoding="ISO-8859-1"?>
+<DTE xmlns="http://www.sii.cl/SiiDte" version="1.0">
+  <Documento ID="F${dte.folio}T${dte.tipoDte}">
+    <Encabezado>
+      <IdDoc>
+        <TipoDTE>${dte.tipoDte}</TipoDTE>
+        <Folio>${dte.folio}</Folio>
+        <FchEmis>${isoDate(dte.fechaEmision)}</FchEmis>
+      </IdDoc>
+      <Emisor>
+        <RUTEmisor>${withoutDots(dte.emisorRut)}</RUTEmisor>
+        <RznSoc>${escapeXml(dte.emisorRazonSocial)}</RznSoc>
+        <GiroEmis>Servicios contables</GiroEmis>
+      </Emisor>
+      <Receptor>
+        <RUTRecep>${withoutDots(dte.receptorRut)}</RUTRecep>
+        <RznSocRecep>${escapeXml(dte.receptorRazonSocial)}</RznSocRecep>
+      </Receptor>
+      <Totales>
+        <MntNeto>${withoutDots(dte.neto)}</MntNeto>
+        <MntExe>${withoutDots(dte.exento)}</MntExe>
+        <TasaIVA>19</TasaIVA>
+        <IVA>${withoutDots(dte.iva)}</IVA>
+        <MntTotal>${withoutDots(dte.total)}</MntTotal>
+      </Totales>
+    </Encabezado>${lineas}
+    ${dte.ted || buildTed(dte)}
+  </Documento>
+</DTE>
+`;
+  return Buffer.from(xml, 'latin1');
+}
+
+module.exports = { buildDteXml };
@@ -0,0 +1,196 @@
+// Fake Nubox: a local stand-in for the Nubox document links, used by the end-to-end tests
+// and for trying the capture flow offline (node fake-nubox/server.js).
+//
+// Every scenario starts at /<scenario>, follows a chain of 302 redirects that sets an ASP
+// session cookie, and lands on documento.asp: an HTML page with a hidden form that
+// auto-submits a POST to descarga.asp, which checks the cookie and the form token.
+// descarga.asp answers the XML DTE instead of the PDF when the form's formato is "xml".
+//
+//   /pdf            descarga.asp answers the PDF as application/pdf
+//   /octet-stream   descarga.asp answers the PDF as application/octet-stream
+//   /html-as-pdf    descarga.asp says application/pdf but sends an HTML page
+//   /slow           descarga.asp waits slowMs before answering the PDF
+//   /no-metadata    descarga.asp answers a PDF without RUT or fecha de emisión
+//   /not-found      documento.asp is the Nubox "document does not exist" error page
+//   /expired        documento.asp is the Nubox "link expired" error page
+//   /server-error   the first request fails with an HTML 500 "not available" page
+//   /flaky          like /server-error the first time it is requested, then like /pdf
+//   /js-session     no session cookie header: documento.asp is a "Su sesión ha expirado" page
+//                   that sets the cookie with JavaScript and reloads itself
+//   /direct.pdf     the PDF itself, without redirects or form
+//   /direct.xml     the XML DTE itself, without redirects or form
+
+const http = require('http');
+const crypto = require('crypto');
+const { buildDtePdf, renderPdf } = require('./dte-pdf');
+const { buildDteXml } = require('./dte-xml');
+
+const SCENARIOS = [
+  'pdf', 'octet-stream', 'html-as-pdf', 'slow', 'no-metadata', 'not-found', 'expired', 'server-error', 'flaky', 'js-session'
+];
+const REDIRECT_HOPS = 2;
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+function errorPage(title, message) {
+  return htmlPage(title, `<div class="error"><h1>${title}</h1><p>${message}</p></div>`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.on('error', reject);
+  });
+}
+
+// options.pdf is the PDF served (default: buildDtePdf()), options.xml the XML DTE
+// (default: buildDteXml()), options.slowMs the delay of /slow
+function createFakeNubox(options = {}) {
+  const pdf = options.pdf || buildDtePdf();
+  const xml = options.xml || buildDteXml();
+  const blankPdf = renderPdf([{ x: 40, y: 750, text: 'Documento sin datos tributarios' }]);
+  const slowMs = options.slowMs || 1500;
+  const sessions = new Map(); // session ID -> form token
+  const requests = []; // { method, path } of every request, for assertions
+  let flakyFailed = false;
+
+  function createSession() {
+    const sessionId = crypto.randomBytes(12).toString('hex');
+    sessions.set(sessionId, crypto.randomBytes(8).toString('hex'));
+    return sessionId;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://fake-nubox');
+    requests.push({ method: req.method, path: pathname });
+
+    if (pathname === '/direct.pdf') {
+      res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': pdf.length });
+      return res.end(pdf);
+    }
+    if (pathname === '/direct.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml; charset=ISO-8859-1', 'Content-Length': xml.length });
+      return res.end(xml);
+    }
+
+    const [, scenario, step = '', hop] = pathname.split('/');
+    if (!SCENARIOS.includes(scenario)) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      return res.end(errorPage('404', 'Página no encontrada'));
+    }
+
+    const failFlaky = scenario === 'flaky' && step === '' && !flakyFailed;
+    if (failFlaky) flakyFailed = true;
+    if (scenario === 'server-error' || failFlaky) {
+      res.writeHead(500, { 'Content-Type': 'text/html' });
+      return res.end(errorPage('Error en el servidor', 'El sistema no se encuentra disponible. Intente nuevamente más tarde.'));
+    }
+
+    // Redirect chain: /<scenario> -> /<scenario>/redirect/1 -> ... -> /<scenario>/documento.asp
+    if (step === '' || step === 'redirect') {
+      const next = step === '' ? 1 : Number(hop) + 1;
+      const location = next <= REDIRECT_HOPS ? `/${scenario}/redirect/${next}` : `/${scenario}/documento.asp`;
+      const headers = { Location: location };
+      if (step === '' && scenario !== 'js-session') {
+        headers['Set-Cookie'] = `ASPSESSIONIDFAKE=${createSession()}; path=/; HttpOnly`;
+      }
+      res.writeHead(302, headers);
+      return res.end();
+    }
+
+    const cookie = (req.headers.cookie || '').match(/ASPSESSIONIDFAKE=(\w+)/);
+    const token = cookie ? sessions.get(cookie[1]) : null;
+
+    if (step === 'documento.asp') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      if (scenario === 'not-found') {
+        return res.end(errorPage('Documento no encontrado', 'El documento solicitado no existe o fue eliminado.'));
+      }
+      if (scenario === 'expired') {
+        return res.end(errorPage('Enlace expirado', 'El enlace de descarga ha expirado. Solicite un nuevo enlace al emisor.'));
+      }
+      if (!token && scenario === 'js-session') {
+        return res.end(htmlPage('Sesión inválida', `
+          <p>Su sesión ha expirado.</p>
+          <script>document.cookie = 'ASPSESSIONIDFAKE=${createSession()}; path=/'; location.reload();</script>`));
+      }
+      if (!token) {
+        return res.end(errorPage('Sesión inválida', 'Su sesión ha expirado.'));
+      }
+      return res.end(htmlPage('Cargando documento', `
+        <p>Cargando documento...</p>
+        <form name="frmDescarga" method="post" action="descarga.asp">
+          <input type="hidden" name="token" value="${token}">
+          <input type="hidden" name="formato" value="pdf">
+        </form>
+        <script>document.forms[0].submit();</script>`));
+    }
+
+    if (step === 'descarga.asp' && req.method === 'POST') {
+      const form = new URLSearchParams(await readBody(req));
+      if (!token || form.get('token') !== token) {
+        res.writeHead(403, { 'Content-Type': 'text/html' });
+        return res.end(errorPage('Acceso denegado', 'Token inválido.'));
+      }
+
+      if (scenario === 'slow') {
+        await new Promise(resolve => setTimeout(resolve, slowMs));
+      }
+      if (scenario === 'html-as-pdf') {
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        return res.end(errorPage('Error', 'No fue posible generar el documento.'));
+      }
+      if (form.get('formato') === 'xml') {
+        res.writeHead(200, {
+          'Content-Type': 'application/xml; charset=ISO-8859-1',
+          'Content-Length': xml.length,
+          'Content-Disposition': 'inline; filename="documento.xml"'
+        });
+        return res.end(xml);
+      }
+
+      const body = scenario === 'no-metadata' ? blankPdf : pdf;
+      const contentType = scenario === 'octet-stream' ? 'application/octet-stream' : 'application/pdf';
+      res.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Length': body.length,
+        'Content-Disposition': 'inline; filename="documento.pdf"'
+      });
+      return res.end(body);
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end(errorPage('404', 'Página no encontrada'));
+  });
+
+  return {
+    requests,
+    // Start listening (port 0 picks a free port) and resolve with the base URL
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { SCENARIOS, createFakeNubox };
+
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_NUBOX_PORT, 10) || 4010;
+  createFakeNubox().listen(port).then(baseUrl => {
+    console.log(`Fake Nubox running on ${baseUrl}`);
+    console.log(`Scenarios: ${SCENARIOS.map(scenario => `${baseUrl}/${scenario}`).concat(`${baseUrl}/direct.pdf`, `${baseUrl}/direct.xml`).join(' ')}`);
+  });
+}
@@ -0,0 +1,73 @@
+// Build the Timbre Electrónico (TED) of a DTE and draw it as the PDF417 barcode printed on
+// the PDF. The TED is signed like the SII's: FRMT is a SHA1withRSA signature of the
+// flattened DD, made with the private key of a CAF generated here (the CAF's own FRMA, the
+// SII's signature of the CAF, is a placeholder).
+
+const crypto = require('crypto');
+const bwipjs = require('bwip-js');
+
+// The SII's CAF keys use the public exponent 3 too
+const CAF_KEYS = crypto.generateKeyPairSync('rsa', { modulusLength: 1024, publicExponent: 3 });
+
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+  'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+// '76.543.212-K' -> '76543212-K', '119.000' -> '119000'
+function withoutDots(value) {
+  return String(value).replace(/\./g, '');
+}
+
+// '15 de diciembre de 2025' -> '2025-12-15'
+function isoDate(fecha) {
+  const [, day, month, year] = fecha.match(/(\d{1,2}) de (\w+) de (\d{4})/);
+  return `${year}-${String(MONTHS.indexOf(month.toLowerCase()) + 1).padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// The TED XML (a latin1 string) of a DTE with the fields of DEFAULT_DTE
+function buildTed(dte) {
+  const fechaEmision = isoDate(dte.fechaEmision);
+  const primerItem = dte.detalle.length > 0 ? dte.detalle[0].nombre : '';
+  const { n, e } = CAF_KEYS.publicKey.export({ format: 'jwk' });
+  const caf = '<CAF version="1.0"><DA>' +
+    `<RE>${withoutDots(dte.emisorRut)}</RE><RS>${escapeXml(dte.emisorRazonSocial)}</RS><TD>${dte.tipoDte}</TD>` +
+    '<RNG><D>1</D><H>50000</H></RNG><FA>2025-01-02</FA>' +
+    `<RSAPK><M>${Buffer.from(n, 'base64url').toString('base64')}</M><E>${Buffer.from(e, 'base64url').toString('base64')}</E></RSAPK>` +
+    '<IDK>100</IDK></DA>' +
+    `<FRMA algoritmo="SHA1withRSA">${Buffer.alloc(64, 1).toString('base64')}</FRMA></CAF>`;
+  const dd = '<DD>' +
+    `<RE>${withoutDots(dte.emisorRut)}</RE><TD>${dte.tipoDte}</TD><F>${dte.folio}</F><FE>${fechaEmision}</FE>` +
+    `<RR>${withoutDots(dte.receptorRut)}</RR><RSR>${escapeXml(dte.receptorRazonSocial).substring(0, 40)}</RSR>` +
+    `<MNT>${withoutDots(dte.total)}</MNT><IT1>${escapeXml(primerItem).substring(0, 40)}</IT1>` +
+    `${caf}<TSTED>${fechaEmision}T10:22:03</TSTED></DD>`;
+  const signature = crypto.sign('sha1', Buffer.from(dd, 'latin1'), CAF_KEYS.privateKey).toString('base64');
+  return `<TED version="1.0">${dd}<FRMT algoritmo="SHA1withRSA">${signature}</FRMT></TED>`;
+}
+
+// PDF content-stream operators that draw text as a PDF417 barcode, its lower left corner at
+// (x, y) in points, with moduleSize-point modules
+function pdf417Operators(text, x, y, moduleSize = 0.8) {
+  const [{ pixs, pixx, pixy }] = bwipjs.raw({ bcid: 'pdf417', text, binarytext: true, columns: 18, eclevel: 5 });
+  const operators = ['0 g'];
+  for (let row = 0; row < pixy; row++) {
+    // One rectangle per run of dark modules
+    for (let start = 0; start < pixx;) {
+      if (!pixs[row * pixx + start]) {
+        start++;
+        continue;
+      }
+      let end = start;
+      while (end < pixx && pixs[row * pixx + end]) end++;
+      operators.push(`${(x + start * moduleSize).toFixed(2)} ${(y + (pixy - 1 - row) * moduleSize).toFixed(2)} ` +
+        `${((end - start) * moduleSize).toFixed(2)} ${moduleSize.toFixed(2)} re`);
+      start = end;
+    }
+  }
+  operators.push('f');
+  return operators.join('\n');
+}
+
+module.exports = { buildTed, pdf417Operators, isoDate, withoutDots };
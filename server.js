@@ -4,16 +4,317 @@ const puppeteer = require('puppeteer');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const Database = require('better-sqlite3');
+const undici = require('undici');
+const { createCanvas } = require('@napi-rs/canvas');
+const {
+  BinaryBitmap, DecodeHintType, HybridBinarizer, PDF417Reader, RGBLuminanceSource, ZXingStringEncoding
+} = require('@zxing/library');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Maximum number of PDFs captured in parallel by POST /download-pdfs
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+// Maximum number of URLs accepted in a single batch request
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS, 10) || 50;
+// Maximum number of async jobs (POST /jobs) running at the same time
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+// Maximum number of async jobs waiting in the queue
+const JOB_MAX_QUEUED = parseInt(process.env.JOB_MAX_QUEUED, 10) || 100;
+// How long finished jobs are kept before they expire (default: 1 hour)
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000;
+// How long a response is replayed for a repeat with the same Idempotency-Key (default: 1 hour)
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 60 * 60 * 1000;
+// Memory for the responses kept for Idempotency-Key replays (default: 64 MB)
+const IDEMPOTENCY_MAX_BYTES = parseInt(process.env.IDEMPOTENCY_MAX_BYTES, 10) || 64 * 1024 * 1024;
+// Filename template and the template used when its metadata fields are missing
+const FILENAME_TEMPLATE = process.env.FILENAME_TEMPLATE || '{rut}-{fechaEmision}-{timestamp}-{urlHash}';
+const FILENAME_FALLBACK_TEMPLATE = process.env.FILENAME_FALLBACK_TEMPLATE || 'pdf-{timestamp}-{urlHash}';
+// Maximum length of a single placeholder value and of the whole filename (without .pdf)
+const FILENAME_VALUE_MAX_LENGTH = parseInt(process.env.FILENAME_VALUE_MAX_LENGTH, 10) || 60;
+const FILENAME_MAX_LENGTH = parseInt(process.env.FILENAME_MAX_LENGTH, 10) || 200;
+// Page pool: concurrent browser pages, how long a request may wait for one, and the
+// maximum lifetime of a page before it is force-closed
+const MAX_CONCURRENT_PAGES = parseInt(process.env.MAX_CONCURRENT_PAGES, 10) || 3;
+const PAGE_QUEUE_TIMEOUT_MS = parseInt(process.env.PAGE_QUEUE_TIMEOUT_MS, 10) || 60000;
+const PAGE_MAX_LIFETIME_MS = parseInt(process.env.PAGE_MAX_LIFETIME_MS, 10) || 3 * 60 * 1000;
+// Recycle the browser after this many pages or above this memory usage
+const BROWSER_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 100;
+const BROWSER_MAX_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB, 10) || 1024;
+// SSRF protection: hosts the service may open (comma-separated, "*.example.com" matches
+// subdomains, "*" allows any host) and whether private/loopback addresses are allowed
+const ALLOWED_HOSTS = (process.env.ALLOWED_HOSTS || 'nubox.com,*.nubox.com')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+const ALLOW_PRIVATE_ADDRESSES = process.env.ALLOW_PRIVATE_ADDRESSES === 'true';
+// Default limits for API keys that don't set their own
+const API_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE, 10) || 60;
+const API_DAILY_QUOTA = parseInt(process.env.API_DAILY_QUOTA, 10) || 1000;
+// Largest response read as a document (default: 50 MB). Larger ones are abandoned as they
+// arrive, instead of being buffered whole
+const MAX_PDF_BYTES = parseInt(process.env.MAX_PDF_BYTES, 10) || 50 * 1024 * 1024;
+// Browser-free fast path (plain HTTP) tried before Puppeteer
+const FAST_PATH_ENABLED = process.env.FAST_PATH_ENABLED !== 'false';
+const FAST_PATH_TIMEOUT_MS = parseInt(process.env.FAST_PATH_TIMEOUT_MS, 10) || 15000;
+const FAST_PATH_MAX_STEPS = parseInt(process.env.FAST_PATH_MAX_STEPS, 10) || 10;
+const FAST_PATH_USER_AGENT = process.env.FAST_PATH_USER_AGENT ||
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+// Capture strategies tried in the browser, in order (see CAPTURE_STRATEGIES)
+const CAPTURE_STRATEGY_ORDER = (process.env.CAPTURE_STRATEGIES ||
+  'cdp_loading_finished,page_response,initial_response,form_replay_fetch,new_page_fallback')
+  .split(',').map(name => name.trim()).filter(Boolean);
+// Field of the Nubox download form that picks the document format ("pdf" or "xml")
+const DOWNLOAD_FORMAT_FIELD = process.env.DOWNLOAD_FORMAT_FIELD || 'formato';
+// PDF cache: 'memory', 'disk' (stored under CACHE_DIR) or 'none'
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory';
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
+// How long a captured PDF is served from the cache for the same URL (default: 10 minutes, 0 disables)
+const CACHE_TTL_MS = process.env.CACHE_TTL_MS !== undefined ? parseInt(process.env.CACHE_TTL_MS, 10) || 0 : 10 * 60 * 1000;
+// Maximum total size of cached PDFs before the least recently used are evicted
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES, 10) || 100 * 1024 * 1024;
+// Attempts per capture for retryable failures, and the delay before the first retry (doubled after each one)
+const DOWNLOAD_MAX_ATTEMPTS = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS, 10) || 3;
+const DOWNLOAD_RETRY_BACKOFF_MS = parseInt(process.env.DOWNLOAD_RETRY_BACKOFF_MS, 10) || 1000;
+// Overall deadline of a download request, retries included, and the largest `timeout` a request may ask for
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_TIMEOUT_MS, 10) || 300000;
+const DOWNLOAD_MAX_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_MAX_TIMEOUT_MS, 10) || 600000;
+// Storage of downloaded PDFs: 'none', 'local' (under STORAGE_DIR) or 's3' (any S3-compatible
+// service). SAVE_PDF_FILES=true is the old switch for 'local'
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || (process.env.SAVE_PDF_FILES === 'true' ? 'local' : 'none');
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, 'downloads');
+// Folder of each stored PDF, with the filename placeholders (e.g. "{emisorRut}/{year}/{month}/")
+const STORAGE_PATH_TEMPLATE = process.env.STORAGE_PATH_TEMPLATE || '';
+const STORAGE_TIMEOUT_MS = parseInt(process.env.STORAGE_TIMEOUT_MS, 10) || 30000;
+// S3 bucket; S3_ENDPOINT points at another S3-compatible service (e.g. MinIO), path-style
+const S3_BUCKET = process.env.S3_BUCKET || '';
+const S3_REGION = process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1';
+const S3_ENDPOINT = process.env.S3_ENDPOINT || '';
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || '';
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || '';
+const S3_SESSION_TOKEN = process.env.S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN || '';
+// Download history: every download and its outcome, in a SQLite database at HISTORY_DB_PATH
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== 'false';
+const HISTORY_DB_PATH = process.env.HISTORY_DB_PATH || path.join(__dirname, 'data', 'downloads.db');
+// Fail downloads whose RUT or fecha de emisión can't be read (per request: requireMetadata)
+const REQUIRE_METADATA = process.env.REQUIRE_METADATA === 'true';
+// Decode the Timbre Electrónico (PDF417 TED) of downloaded PDFs (per request: ted), rendered
+// at TED_RENDER_SCALE x 72 dpi, with at most TED_MAX_CONCURRENT decodes running at once
+const TED_ENABLED = process.env.TED_ENABLED !== 'false';
+const TED_DEFAULT = process.env.TED_DEFAULT === 'true';
+const TED_RENDER_SCALE = parseFloat(process.env.TED_RENDER_SCALE) || 4;
+const TED_MAX_CONCURRENT = parseInt(process.env.TED_MAX_CONCURRENT, 10) || 1;
+// Diagnostics bundles (page HTML, screenshot, network responses) saved under DIAGNOSTICS_DIR
+// when a capture fails, and for every capture when DIAGNOSTICS_ON_SUCCESS is set
+const DIAGNOSTICS_ENABLED = process.env.DIAGNOSTICS_ENABLED !== 'false';
+const DIAGNOSTICS_ON_SUCCESS = process.env.DIAGNOSTICS_ON_SUCCESS === 'true';
+const DIAGNOSTICS_DIR = process.env.DIAGNOSTICS_DIR || path.join(__dirname, 'diagnostics');
+const DIAGNOSTICS_RETENTION_MS = parseInt(process.env.DIAGNOSTICS_RETENTION_MS, 10) || 24 * 60 * 60 * 1000;
+// Shared secret used to sign webhook deliveries (required to accept a callbackUrl)
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+// Webhook delivery attempts before giving up, and the base delay between them
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 1000;
+// Timeout for a single webhook delivery attempt
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Minimum level written to the log: debug, info, warn or error
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+// Structured logging: one JSON object per line. Lines written while handling a request
+// carry its correlation ID (and job or batch item) through AsyncLocalStorage
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const logContext = new AsyncLocalStorage();
+
+function serializeLogValue(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      stack: LOG_LEVELS[LOG_LEVEL] <= LOG_LEVELS.debug ? value.stack : undefined
+    };
+  }
+  return value;
+}
+
+function writeLog(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < (LOG_LEVELS[LOG_LEVEL] || LOG_LEVELS.info)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...logContext.getStore(),
+    msg: message
+  };
+  Object.keys(fields).forEach(key => {
+    entry[key] = serializeLogValue(fields[key]);
+  });
+
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.error ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (message, fields) => writeLog('debug', message, fields),
+  info: (message, fields) => writeLog('info', message, fields),
+  warn: (message, fields) => writeLog('warn', message, fields),
+  error: (message, fields) => writeLog('error', message, fields)
+};
+
+// Run fn with extra fields added to the log context of every line it writes
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// Prometheus metrics: kept in memory and rendered in the text exposition format by GET /metrics
+const metricsRegistry = [];
+
+function escapeMetricLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatMetricLabels(labels) {
+  const pairs = Object.keys(labels).map(key => `${key}="${escapeMetricLabel(labels[key])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help) {
+  const series = new Map(); // label string -> value
+
+  const counter = {
+    inc(labels = {}, value = 1) {
+      const key = formatMetricLabels(labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach((value, key) => lines.push(`${name}${key} ${value}`));
+      return lines;
+    }
+  };
+  metricsRegistry.push(counter);
+  return counter;
+}
+
+// Gauges are read at scrape time from the state they describe
+function createGauge(name, help, read) {
+  const gauge = {
+    render() {
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`];
+    }
+  };
+  metricsRegistry.push(gauge);
+  return gauge;
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map(); // label string -> { labels, counts, sum, count }
+
+  const histogram = {
+    observe(labels, value) {
+      const key = formatMetricLabels(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach((entry, key) => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${key} ${entry.sum}`);
+        lines.push(`${name}_count${key} ${entry.count}`);
+      });
+      return lines;
+    }
+  };
+  metricsRegistry.push(histogram);
+  return histogram;
+}
+
+function renderMetrics() {
+  return `${metricsRegistry.map(metric => metric.render().join('\n')).join('\n')}\n`;
+}
+
+const downloadsTotal = createCounter('nubox_pdf_downloads_total',
+  'PDF download requests by outcome (success, cached, blocked, error)');
+const captureDuration = createHistogram('nubox_pdf_capture_duration_seconds',
+  'Time spent capturing a PDF that was not served from the cache', [0.5, 1, 2, 5, 10, 20, 30, 60, 120]);
+const pdfSize = createHistogram('nubox_pdf_size_bytes',
+  'Size of captured PDFs', [10240, 51200, 102400, 262144, 524288, 1048576, 2621440, 5242880, 10485760]);
+const capturePathTotal = createCounter('nubox_pdf_capture_path_total',
+  'Captured PDFs by the path that produced them');
+const metadataExtractionsTotal = createCounter('nubox_pdf_metadata_extractions_total',
+  'Captured PDFs whose metadata was extracted');
+const metadataFieldFoundTotal = createCounter('nubox_pdf_metadata_field_found_total',
+  'Captured PDFs where a metadata field was found');
+const captureRetriesTotal = createCounter('nubox_pdf_capture_retries_total',
+  'Capture attempts retried, by the error code of the failed attempt');
+const browserRestartsTotal = createCounter('nubox_pdf_browser_restarts_total',
+  'Browser restarts by reason (recycled, disconnected)');
+const tedChecksTotal = createCounter('nubox_pdf_ted_checks_total',
+  'Decoded PDF TEDs by cross-check outcome (match, mismatch, not_found)');
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Let browser clients read the metadata headers of binary PDF responses and the rate-limit headers
+  exposedHeaders: [
+    'Content-Disposition', 'X-Pdf-Filename', 'X-Pdf-Rut', 'X-Pdf-Fecha-Emision', 'X-Cache', 'X-Pdf-Content-Hash',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Quota-Limit', 'X-Quota-Remaining',
+    'X-Request-Id', 'X-Diagnostics-Id', 'X-Capture-Strategy', 'X-Capture-Attempts', 'X-Storage-Key', 'X-Download-Id',
+    'Idempotent-Replayed', 'X-Ted-Check'
+  ]
+}));
+// Correlation ID: reuse the caller's X-Request-Id when it looks sane, else generate one,
+// echo it back and attach it to every log line written while handling the request
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  logContext.run({ requestId: req.id }, () => {
+    const startedAt = Date.now();
+    res.on('finish', AsyncResource.bind(() => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      });
+    }));
+    next();
+  });
+});
+
+// Parsed after the correlation ID is set, so a body rejected here is still logged and
+// answered with its X-Request-Id
 app.use(express.json());
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  res.status(400).json({
+    error: 'Invalid JSON body',
+    message: 'The request body is not valid JSON',
+    code: 'INVALID_INPUT',
+    retryable: false
+  });
+});
 
 // Browser singleton to avoid resource busy errors
 let browserInstance = null;
+// Pending launch, shared by concurrent callers so only one browser is started
+let browserLaunch = null;
 
 // Function to get or create browser instance
 async function getBrowser() {
@@ -21,6 +322,18 @@ async function getBrowser() {
     return browserInstance;
   }
 
+  if (!browserLaunch) {
+    browserLaunch = launchBrowser().finally(() => {
+      browserLaunch = null;
+    });
+  }
+  return browserLaunch;
+}
+
+// Launch a new browser and relaunch it if it disconnects (crash or killed process)
+async function launchBrowser() {
+  browserInstance = null;
+
   // Create a unique user data directory to avoid locks
   const userDataDir = path.join(os.tmpdir(), `puppeteer-${Date.now()}-${Math.random().toString(36).substring(7)}`);
 
@@ -34,7 +347,6 @@ async function getBrowser() {
       '--no-first-run',
       '--no-zygote',
       '--disable-gpu',
-      '--disable-web-security',
       '--disable-features=IsolateOrigins,site-per-process'
     ]
   };
@@ -50,52 +362,531 @@ async function getBrowser() {
     launchOptions.userDataDir = userDataDir;
   }
 
+  let browser;
   try {
-    browserInstance = await puppeteer.launch(launchOptions);
-    console.log('Browser instance created');
-    return browserInstance;
+    browser = await puppeteer.launch(launchOptions);
+    logger.info('Browser instance created');
   } catch (error) {
-    console.error('Error launching browser:', error);
+    logger.error('Error launching browser', { error });
     // Retry once with different options
-    if (!browserInstance) {
-      try {
-        browserInstance = await puppeteer.launch({
-          headless: true,
-          args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        return browserInstance;
-      } catch (retryError) {
-        throw new Error(`Failed to launch browser: ${retryError.message}`);
-      }
+    try {
+      browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+    } catch (retryError) {
+      throw new DownloadError('BROWSER_LAUNCH_FAILED', `Failed to launch browser: ${retryError.message}`);
     }
-    throw error;
   }
+
+  browser.on('disconnected', () => {
+    if (browserInstance !== browser) return; // Closed on purpose by closeBrowser()
+    logger.error('Browser disconnected unexpectedly, relaunching');
+    browserRestartsTotal.inc({ reason: 'disconnected' });
+    browserInstance = null;
+    getBrowser().catch(error => logger.error('Error relaunching browser', { error }));
+  });
+
+  browserInstance = browser;
+  return browserInstance;
 }
 
 // Cleanup function
 async function closeBrowser() {
   if (browserInstance) {
+    const browser = browserInstance;
+    browserInstance = null;
     try {
-      await browserInstance.close();
-      browserInstance = null;
-      console.log('Browser instance closed');
+      await browser.close();
+      logger.info('Browser instance closed');
     } catch (error) {
-      console.error('Error closing browser:', error);
-      browserInstance = null;
+      logger.error('Error closing browser', { error });
+    }
+  }
+}
+
+// Page pool: at most MAX_CONCURRENT_PAGES pages are open at once, other requests wait
+// in a queue (up to PAGE_QUEUE_TIMEOUT_MS). The browser is recycled after
+// BROWSER_MAX_PAGES pages or once it uses more than BROWSER_MAX_MEMORY_MB
+const pooledPages = new Map(); // page -> lifetime timer
+const pageWaiters = []; // { resolve, reject, timer } waiting for a free slot
+let pageSlotsInUse = 0;
+let browserPagesServed = 0;
+let browserRecyclePending = false;
+
+// Resident memory of the browser and its child processes, in MB (Linux only, else null)
+function getBrowserMemoryMb() {
+  if (process.platform !== 'linux' || !browserInstance || !browserInstance.process()) {
+    return null;
+  }
+  try {
+    const rootPid = browserInstance.process().pid;
+    const children = new Map(); // ppid -> [pid]
+    fs.readdirSync('/proc').filter(entry => /^\d+$/.test(entry)).forEach(pid => {
+      try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        // The command name can contain spaces; the fields after it are fixed
+        const ppid = stat.substring(stat.lastIndexOf(')') + 2).split(' ')[1];
+        if (!children.has(ppid)) children.set(ppid, []);
+        children.get(ppid).push(pid);
+      } catch (error) {
+        // Process exited while scanning
+      }
+    });
+
+    let totalPages = 0;
+    const pending = [String(rootPid)];
+    while (pending.length > 0) {
+      const pid = pending.pop();
+      try {
+        totalPages += parseInt(fs.readFileSync(`/proc/${pid}/statm`, 'utf8').split(' ')[1], 10);
+      } catch (error) {
+        // Process exited while scanning
+      }
+      pending.push(...(children.get(pid) || []));
+    }
+    return Math.round(totalPages * 4096 / (1024 * 1024));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Take a free slot, or wait for one (rejects after PAGE_QUEUE_TIMEOUT_MS, or with
+// signal.reason as soon as signal is aborted)
+function acquirePageSlot(signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  if (pageSlotsInUse < MAX_CONCURRENT_PAGES && !browserRecyclePending && pageWaiters.length === 0) {
+    pageSlotsInUse++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, timer: null, signal, onAbort: null };
+    const leaveQueue = (error) => {
+      pageWaiters.splice(pageWaiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      if (signal) signal.removeEventListener('abort', waiter.onAbort);
+      reject(error);
+    };
+    waiter.timer = setTimeout(() => {
+      leaveQueue(new DownloadError('BROWSER_BUSY', `Timed out after ${PAGE_QUEUE_TIMEOUT_MS}ms waiting for a free browser page`));
+    }, PAGE_QUEUE_TIMEOUT_MS);
+    if (signal) {
+      waiter.onAbort = () => leaveQueue(signal.reason);
+      signal.addEventListener('abort', waiter.onAbort, { once: true });
+    }
+    pageWaiters.push(waiter);
+    logger.info(`All ${MAX_CONCURRENT_PAGES} browser pages busy, ${pageWaiters.length} request(s) waiting`);
+  });
+}
+
+// Hand free slots to waiting requests, in order
+function wakePageWaiters() {
+  while (pageSlotsInUse < MAX_CONCURRENT_PAGES && !browserRecyclePending && pageWaiters.length > 0) {
+    const waiter = pageWaiters.shift();
+    clearTimeout(waiter.timer);
+    if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+    pageSlotsInUse++;
+    waiter.resolve();
+  }
+}
+
+// Open a page from the pool. Always pair with releasePage()
+// signal cancels the wait for a free page
+async function acquirePage(signal) {
+  await acquirePageSlot(signal);
+  try {
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+    browserPagesServed++;
+
+    // A hung request must not keep its page forever
+    const lifetimeTimer = setTimeout(() => {
+      logger.info(`Page exceeded ${PAGE_MAX_LIFETIME_MS}ms, closing it`);
+      releasePage(page);
+    }, PAGE_MAX_LIFETIME_MS);
+    pooledPages.set(page, lifetimeTimer);
+    return page;
+  } catch (error) {
+    pageSlotsInUse--;
+    wakePageWaiters();
+    throw error;
+  }
+}
+
+// Close a pooled page and free its slot; safe to call more than once
+async function releasePage(page) {
+  if (!pooledPages.has(page)) return;
+  clearTimeout(pooledPages.get(page));
+  pooledPages.delete(page);
+
+  await page.close().catch(err => logger.error('Error closing page', { error: err }));
+  pageSlotsInUse--;
+
+  if (!browserRecyclePending) {
+    const memoryMb = getBrowserMemoryMb();
+    if (browserPagesServed >= BROWSER_MAX_PAGES) {
+      logger.info(`Browser served ${browserPagesServed} pages, recycling it`);
+      browserRecyclePending = true;
+    } else if (memoryMb !== null && memoryMb > BROWSER_MAX_MEMORY_MB) {
+      logger.info(`Browser uses ${memoryMb}MB (limit ${BROWSER_MAX_MEMORY_MB}MB), recycling it`);
+      browserRecyclePending = true;
     }
   }
+
+  // Recycle once the pages still open have finished; new requests wait meanwhile
+  if (browserRecyclePending && pageSlotsInUse === 0) {
+    browserRestartsTotal.inc({ reason: 'recycled' });
+    await closeBrowser();
+    browserPagesServed = 0;
+    browserRecyclePending = false;
+  }
+
+  wakePageWaiters();
 }
 
+createGauge('nubox_pdf_browser_open_pages', 'Browser pages currently open', () => pageSlotsInUse);
+createGauge('nubox_pdf_browser_waiting_requests', 'Requests waiting for a free browser page', () => pageWaiters.length);
+
 // Graceful shutdown
 process.on('SIGTERM', closeBrowser);
 process.on('SIGINT', closeBrowser);
 
 // Helper function to delay (replacement for page.waitForTimeout)
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Rejects with signal.reason as soon as signal is aborted
+function delay(ms, signal) {
+  return abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
+}
+
+// Settle like promise, or reject with signal.reason as soon as signal is aborted
+// (the promise itself keeps running)
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Metadata object with every field set to null (used when extraction fails)
+function emptyPdfMetadata() {
+  return {
+    rut: null,
+    fechaEmision: null,
+    documentType: null,
+    tipoDte: null,
+    folio: null,
+    emisorRut: null,
+    emisorRazonSocial: null,
+    receptorRut: null,
+    receptorRazonSocial: null,
+    neto: null,
+    iva: null,
+    exento: null,
+    total: null,
+    emisorRutSource: null,
+    receptorRutSource: null,
+    rutCandidates: [],
+    ted: null
+  };
+}
+
+// DTE document types, most specific first (matched against accent-free text without spaces)
+// tipoDte is the SII document code
+const DTE_DOCUMENT_TYPES = [
+  { pattern: 'FACTURANOAFECTAOEXENTAELECTRONICA', documentType: 'factura_exenta', tipoDte: 34 },
+  { pattern: 'FACTURAEXENTAELECTRONICA', documentType: 'factura_exenta', tipoDte: 34 },
+  { pattern: 'FACTURADECOMPRAELECTRONICA', documentType: 'factura_compra', tipoDte: 46 },
+  { pattern: 'LIQUIDACIONFACTURAELECTRONICA', documentType: 'liquidacion_factura', tipoDte: 43 },
+  { pattern: 'FACTURAELECTRONICA', documentType: 'factura', tipoDte: 33 },
+  { pattern: 'BOLETAEXENTAELECTRONICA', documentType: 'boleta_exenta', tipoDte: 41 },
+  { pattern: 'BOLETAELECTRONICA', documentType: 'boleta', tipoDte: 39 },
+  { pattern: 'NOTADECREDITOELECTRONICA', documentType: 'nota_credito', tipoDte: 61 },
+  { pattern: 'NOTADEDEBITOELECTRONICA', documentType: 'nota_debito', tipoDte: 56 },
+  { pattern: 'GUIADEDESPACHOELECTRONICA', documentType: 'guia_despacho', tipoDte: 52 }
+];
+
+// Remove accents so patterns don't need to handle "Emisión" vs "Emision"
+function stripAccents(value) {
+  return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Compute the módulo-11 check digit ("0"-"9" or "K") for the numeric part of a RUT
+function computeRutCheckDigit(body) {
+  let sum = 0;
+  let multiplier = 2;
+  for (let i = body.length - 1; i >= 0; i--) {
+    sum += parseInt(body[i], 10) * multiplier;
+    multiplier = multiplier === 7 ? 2 : multiplier + 1;
+  }
+  const remainder = 11 - (sum % 11);
+  if (remainder === 11) return '0';
+  if (remainder === 10) return 'K';
+  return String(remainder);
+}
+
+// Normalize a RUT ("76.543.210-k") to digits plus upper-case check digit ("76543210K")
+function normalizeRut(value) {
+  return value.replace(/[.\-\s]/g, '').toUpperCase();
+}
+
+// Validate a RUT (any format) against its check digit
+function isValidRut(value) {
+  const rut = normalizeRut(value);
+  if (!/^\d{1,9}[\dK]$/.test(rut)) return false;
+  return computeRutCheckDigit(rut.slice(0, -1)) === rut.slice(-1);
+}
+
+// Format a normalized RUT as "76.543.210-K"
+function formatRut(rut) {
+  const body = rut.slice(0, -1).replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+  return `${body}-${rut.slice(-1)}`;
+}
+
+// Find every labeled RUT in the text, validate it and decide which one is the emisor
+// (the issuer, shown in the "R.U.T." box next to the document type) and which one
+// is the receptor (the client, shown after "Señor(es)")
+// Returns { emisorRut, receptorRut, emisorRutSource, receptorRutSource, rutCandidates }
+function extractRuts(textNoSpaces) {
+  const candidates = [...textNoSpaces.matchAll(/(R\.U\.T\.?|RUT|RUN)[|:]?(\d{1,2}\.?\d{3}\.?\d{3}-[\dkK])/gi)]
+    .map(match => {
+      const rut = normalizeRut(match[2]);
+      return {
+        rut,
+        formatted: formatRut(rut),
+        label: match[1],
+        index: match.index,
+        valid: isValidRut(rut),
+        role: null
+      };
+    });
+
+  candidates.filter(candidate => !candidate.valid).forEach(candidate => {
+    logger.warn(`Ignoring RUT with invalid check digit: ${candidate.formatted}`);
+  });
+
+  const valid = candidates.filter(candidate => candidate.valid);
+  const senorIndex = stripAccents(textNoSpaces).toLowerCase().indexOf('senor');
+  const beforeSenor = candidate => senorIndex < 0 || candidate.index < senorIndex;
+
+  // Emisor: the dotted "R.U.T." box, else the first RUT before "Señor", else the first
+  // of several RUTs
+  let emisor = null;
+  let emisorRutSource = null;
+  const boxMatch = valid.find(candidate => candidate.label.includes('.') && beforeSenor(candidate));
+  if (boxMatch) {
+    emisor = boxMatch;
+    emisorRutSource = 'rut-box';
+  } else if (senorIndex >= 0 && valid.some(candidate => candidate.index < senorIndex)) {
+    emisor = valid.find(candidate => candidate.index < senorIndex);
+    emisorRutSource = 'before-senor';
+  } else if (valid.length > 1) {
+    emisor = valid[0];
+    emisorRutSource = 'first-match';
+  }
+
+  // Receptor: the closest RUT after "Señor", else the first plain "RUT" label, else the
+  // last RUT found; never the same RUT as the emisor
+  const others = valid.filter(candidate => !emisor || candidate.rut !== emisor.rut);
+  let receptor = null;
+  let receptorRutSource = null;
+  const afterSenor = senorIndex >= 0 ? others.find(candidate => candidate.index > senorIndex) : null;
+  if (afterSenor) {
+    receptor = afterSenor;
+    receptorRutSource = 'after-senor';
+  } else if (others.some(candidate => /^RUT$/i.test(candidate.label))) {
+    receptor = others.find(candidate => /^RUT$/i.test(candidate.label));
+    receptorRutSource = 'rut-label';
+  } else if (others.length > 0) {
+    receptor = others[others.length - 1];
+    receptorRutSource = 'last-match';
+  }
+
+  candidates.forEach(candidate => {
+    if (emisor && candidate.rut === emisor.rut) candidate.role = 'emisor';
+    if (receptor && candidate.rut === receptor.rut) candidate.role = 'receptor';
+  });
+
+  return {
+    emisorRut: emisor ? emisor.rut : null,
+    receptorRut: receptor ? receptor.rut : null,
+    emisorRutSource,
+    receptorRutSource,
+    rutCandidates: candidates.map(({ rut, formatted, valid, role }) => ({ rut, formatted, valid, role }))
+  };
+}
+
+// Parse a Chilean peso amount ("1.234.567" or "1.234,50") into a number
+function parseClpAmount(value) {
+  if (!value) return null;
+  const amount = Number(value.replace(/\./g, '').replace(',', '.'));
+  return Number.isFinite(amount) ? amount : null;
+}
+
+// Group pdf2json text items into visual lines made of text segments
+// Items on the same row are joined; a wide horizontal gap starts a new segment (column)
+function buildTextLines(pdfData) {
+  const lines = [];
+  const ROW_TOLERANCE = 0.3; // page units
+  const COLUMN_GAP = 1.5; // page units (~24pt)
+  const WORD_GAP = 0.15; // page units (~2.4pt)
+
+  (pdfData.Pages || []).forEach(page => {
+    const items = [];
+    (page.Texts || []).forEach(textItem => {
+      const value = (textItem.R || [])
+        .map(run => (run.T ? decodeURIComponent(run.T) : ''))
+        .join('');
+      if (value) {
+        // pdf2json reports x/y in page units (16pt) and w in points; it also pads some
+        // glyphs with spaces, so word breaks are taken from the gaps between items instead
+        items.push({ x: textItem.x, y: textItem.y, w: (textItem.w || 0) / 16, text: value.trim() || ' ' });
+      }
+    });
+
+    items.sort((a, b) => a.y - b.y);
+
+    let row = [];
+    const flushRow = () => {
+      if (row.length === 0) return;
+      row.sort((a, b) => a.x - b.x);
+      const segments = [];
+      let current = '';
+      let previous = null;
+      row.forEach(item => {
+        if (previous) {
+          const gap = item.x - (previous.x + previous.w);
+          if (gap > COLUMN_GAP) {
+            segments.push(current);
+            current = '';
+          } else if (gap > WORD_GAP) {
+            current += ' ';
+          }
+        }
+        current += item.text;
+        previous = item;
+      });
+      segments.push(current);
+      const cleaned = segments
+        .map(segment => segment.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+      if (cleaned.length > 0) lines.push(cleaned);
+      row = [];
+    };
+
+    items.forEach(item => {
+      if (row.length > 0 && Math.abs(item.y - row[0].y) > ROW_TOLERANCE) {
+        flushRow();
+      }
+      row.push(item);
+    });
+    flushRow();
+  });
+
+  return lines;
+}
+
+// Value of a "Label: value" segment, or the next segment on the same line when the
+// label and its value were laid out as separate columns
+function segmentValue(line, index, labelPattern) {
+  const match = line[index].match(labelPattern);
+  if (!match) return null;
+  const inline = (match[1] || '').replace(/^[\s:|]+/, '').trim();
+  if (inline) return inline;
+  return line[index + 1] ? line[index + 1].trim() : null;
+}
+
+// Extract the DTE fields other than the RUTs and fecha de emisión
+// textNoSpaces: text with all whitespace removed; lines: output of buildTextLines
+function extractDteFields(textNoSpaces, lines) {
+  const fields = {
+    documentType: null,
+    tipoDte: null,
+    folio: null,
+    emisorRazonSocial: null,
+    receptorRazonSocial: null,
+    neto: null,
+    iva: null,
+    exento: null,
+    total: null
+  };
+  const plain = stripAccents(textNoSpaces).toUpperCase();
+
+  // Document type and folio ("FACTURA ELECTRONICA N° 12345")
+  for (const type of DTE_DOCUMENT_TYPES) {
+    const typeIndex = plain.indexOf(type.pattern);
+    if (typeIndex >= 0) {
+      fields.documentType = type.documentType;
+      fields.tipoDte = type.tipoDte;
+      const afterType = plain.substring(typeIndex + type.pattern.length, typeIndex + type.pattern.length + 30);
+      const folioMatch = afterType.match(/^(?:N|NO|NRO|FOLIO)?[°º.]*:?(\d{1,10})/);
+      if (folioMatch) {
+        fields.folio = parseInt(folioMatch[1], 10);
+      }
+      break;
+    }
+  }
+  if (fields.folio === null) {
+    const folioMatch = plain.match(/FOLIO(?:N[°º.]*)?:?(\d{1,10})/);
+    if (folioMatch) {
+      fields.folio = parseInt(folioMatch[1], 10);
+    }
+  }
+
+  // Amounts: use the last occurrence, the totals box is at the bottom of the document
+  const lastAmount = (pattern) => {
+    const matches = [...plain.matchAll(pattern)];
+    return matches.length > 0 ? parseClpAmount(matches[matches.length - 1][1]) : null;
+  };
+  fields.neto = lastAmount(/(?:MONTO)?NETO[:|]?\$?(\d[\d.,]*)/g);
+  fields.iva = lastAmount(/I\.?V\.?A\.?(?:\(?\d{1,2}(?:[.,]\d+)?%\)?)?[:|]?\$?(\d[\d.,]*)/g);
+  fields.exento = lastAmount(/(?:MONTO)?EXENTO[:|]?\$?(\d[\d.,]*)/g);
+  fields.total = lastAmount(/(?:MONTO)?TOTAL[:|]?\$?(\d[\d.,]*)/g);
+
+  // Razón social: needs word spacing, so it's read from the reconstructed lines
+  const receptorLabel = /^Se[ñn]or\s*(?:\(\s*es\s*\))?\s*[:|]?(.*)$/i;
+  const razonSocialLabel = /^Raz[oó]n\s*Social\s*[:|]?(.*)$/i;
+  const notEmisorName = /R\.?\s*U\.?\s*T|ELECTR[OÓ]NICA|S\.?\s*I\.?\s*I\.?|FOLIO|^N\s*[°º]|GIRO|DIRECCI[OÓ]N|FECHA|^\d|^[^A-Za-zÁÉÍÓÚÑáéíóúñ]*$/i;
+  let receptorSectionStarted = false;
+
+  for (const line of lines) {
+    for (let i = 0; i < line.length; i++) {
+      const segment = line[i];
+
+      if (receptorLabel.test(segment)) {
+        receptorSectionStarted = true;
+        if (!fields.receptorRazonSocial) {
+          fields.receptorRazonSocial = segmentValue(line, i, receptorLabel);
+        }
+        continue;
+      }
+
+      if (razonSocialLabel.test(segment)) {
+        const value = segmentValue(line, i, razonSocialLabel);
+        if (receptorSectionStarted) {
+          fields.receptorRazonSocial = fields.receptorRazonSocial || value;
+        } else {
+          fields.emisorRazonSocial = value;
+        }
+        continue;
+      }
+
+      // Without a label, the emisor name is the first text block of the header
+      if (!receptorSectionStarted && !fields.emisorRazonSocial && !notEmisorName.test(segment)) {
+        fields.emisorRazonSocial = segment;
+      }
+    }
+  }
+
+  return fields;
 }
 
-// Helper function to extract RUT and Fecha de Emisión from PDF
+// Helper function to extract the DTE metadata (RUT, Fecha de Emisión, emisor, receptor, totals) from PDF
+// Fields that couldn't be read are null; `rut` is the receptor RUT, used for filenames
 async function extractPdfMetadata(pdfBuffer) {
   try {
     const PDFParser = require('pdf2json');
@@ -105,8 +896,8 @@ async function extractPdfMetadata(pdfBuffer) {
       const pdfParser = new PDFParser(null, 1);
       
       pdfParser.on('pdfParser_dataError', (err) => {
-        console.error('PDF parsing error:', err);
-        resolve({ rut: null, fechaEmision: null });
+        logger.error('PDF parsing error', { error: err });
+        resolve(emptyPdfMetadata());
       });
       
       pdfParser.on('pdfParser_dataReady', (pdfData) => {
@@ -144,52 +935,14 @@ async function extractPdfMetadata(pdfBuffer) {
             .replace(/\s+/g, ' ')
             .trim();
           
-          console.log('Text without spaces (first 500 chars):', textNoSpaces.substring(0, 500));
+          logger.debug('Text without spaces (first 500 chars)', { text: textNoSpaces.substring(0, 500) });
           
-          // Extract RUT - look for client RUT in table context
-          // The client RUT appears as "RUT | 4.835.956-6" in the table row
-          // RUT format: digits with dots and dash (e.g., 4.835.956-6)
-          let rut = null;
-          
-          // Search in text without spaces: "RUT" followed by number pattern
-          // Pattern: RUT followed by digits, dots, dash, and final digit
-          const rutPatternNoSpaces = /RUT[|:]?(\d+\.\d+\.\d+-\d)/i;
-          const tableRutMatch = textNoSpaces.match(rutPatternNoSpaces);
-          if (tableRutMatch) {
-            rut = tableRutMatch[1].replace(/\./g, '').replace(/-/g, '');
-            console.log(`Extracted client RUT from table: ${tableRutMatch[1]} -> ${rut}`);
-          } else {
-            // Fallback: find all RUT patterns in text without spaces
-            const allRutMatches = [...textNoSpaces.matchAll(/RUT[|:]?(\d+\.\d+\.\d+-\d)/gi)];
-            if (allRutMatches.length > 0) {
-              // If multiple RUTs found, prefer one that appears after "Señor" or "Señor(es)"
-              const senoresIndex = textNoSpaces.toLowerCase().indexOf('señor');
-              let selectedRut = null;
-              let minDistance = Infinity;
-              
-              for (const match of allRutMatches) {
-                const rutIndex = match.index;
-                if (senoresIndex >= 0 && rutIndex > senoresIndex) {
-                  const distance = rutIndex - senoresIndex;
-                  if (distance < minDistance) {
-                    minDistance = distance;
-                    selectedRut = match[1];
-                  }
-                }
-              }
-              
-              // If no RUT found after "Señor", use the last one (likely client RUT in table)
-              if (!selectedRut && allRutMatches.length > 1) {
-                selectedRut = allRutMatches[allRutMatches.length - 1][1];
-              } else if (!selectedRut) {
-                selectedRut = allRutMatches[0][1];
-              }
-              
-              if (selectedRut) {
-                rut = selectedRut.replace(/\./g, '').replace(/-/g, '');
-                console.log(`Extracted RUT (fallback): ${selectedRut} -> ${rut}`);
-              }
-            }
+          // Extract RUTs - every candidate is validated with its check digit and labeled
+          // as emisor or receptor; the receptor (client) RUT is the one used in filenames
+          const rutInfo = extractRuts(textNoSpaces);
+          const rut = rutInfo.receptorRut;
+          if (rut) {
+            logger.info(`Extracted client RUT (${rutInfo.receptorRutSource}): ${formatRut(rut)} -> ${rut}`);
           }
           
           // Extract Fecha de Emisión - look for pattern like "Fecha Emisión | 15 de diciembre de 2025"
@@ -219,702 +972,3714 @@ async function extractPdfMetadata(pdfBuffer) {
             
             const month = monthMap[monthName] || '01';
             fechaEmision = `${year}-${month}-${day}`;
-            console.log(`Extracted Fecha de Emisión: ${dateMatch[0]} -> ${fechaEmision}`);
+            logger.info(`Extracted Fecha de Emisión: ${dateMatch[0]} -> ${fechaEmision}`);
           }
           
-          resolve({ rut, fechaEmision });
+          const dteFields = extractDteFields(textNoSpaces, buildTextLines(pdfData));
+
+          resolve({
+            ...emptyPdfMetadata(),
+            ...dteFields,
+            ...rutInfo,
+            rut,
+            fechaEmision
+          });
         } catch (error) {
-          console.error('Error processing PDF data:', error.message);
-          resolve({ rut: null, fechaEmision: null });
+          logger.error('Error processing PDF data', { error });
+          resolve(emptyPdfMetadata());
         }
       });
       
-      // Parse the PDF buffer
-      pdfParser.parseBuffer(pdfBuffer);
+      // Parse the PDF buffer. pdf2json misreads Buffers that are a slice of a larger
+      // ArrayBuffer (small Buffers come from Node's shared pool), so give it its own copy
+      const standalone = Buffer.alloc(pdfBuffer.length);
+      pdfBuffer.copy(standalone);
+      pdfParser.parseBuffer(standalone);
     });
   } catch (error) {
-    console.error('Error extracting PDF metadata:', error.message);
-    return { rut: null, fechaEmision: null };
+    logger.error('Error extracting PDF metadata', { error });
+    return emptyPdfMetadata();
   }
 }
 
-// Helper function to generate PDF filename from metadata
-// Note: File saving is skipped in production (Railway) - filename is returned for Google Apps Script
-async function generatePdfFilename(pdfBuffer, url) {
+// Text content of every <name> element in xml (with or without a namespace prefix),
+// with CDATA unwrapped and entities decoded
+function xmlElements(xml, name) {
+  const pattern = new RegExp(`<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+// Trimmed text of the first <name> element in xml, or null if it is missing or empty
+function xmlText(xml, name) {
+  const [content] = xmlElements(xml, name);
+  if (content === undefined) return null;
+  const text = decodeHtmlEntities(content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim();
+  return text || null;
+}
+
+// Number in the first <name> element of xml (SII amounts use "." for decimals), or null
+function xmlNumber(xml, name) {
+  const text = xmlText(xml, name);
+  const value = text === null ? NaN : Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Decode an XML buffer with the encoding of its declaration (the SII uses ISO-8859-1)
+function decodeXmlBuffer(buffer) {
+  const declaration = buffer.slice(0, 200).toString('latin1').match(/<\?xml[^>]*encoding\s*=\s*["']([\w.-]+)["']/i);
   try {
-    // Extract metadata from PDF
-    const { rut, fechaEmision } = await extractPdfMetadata(pdfBuffer);
-    
-    // Generate filename
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const urlHash = Buffer.from(url).toString('base64').substring(0, 10).replace(/[^a-zA-Z0-9]/g, '');
-    
-    let filename;
-    if (rut && fechaEmision) {
-      // Format: {rut}-{fechaemision}-${timestamp}-${urlHash}.pdf
-      filename = `${rut}-${fechaEmision}-${timestamp}-${urlHash}.pdf`;
-    } else {
-      // Fallback to old format if extraction fails
-      filename = `pdf-${timestamp}-${urlHash}.pdf`;
-      if (!rut) console.log('Warning: Could not extract RUT from PDF');
-      if (!fechaEmision) console.log('Warning: Could not extract Fecha de Emisión from PDF');
-    }
-    
-    // Optionally save file locally for testing (only if SAVE_PDF_FILES env var is set)
-    if (process.env.SAVE_PDF_FILES === 'true') {
-      try {
-        const downloadsDir = path.join(__dirname, 'downloads');
-        if (!fs.existsSync(downloadsDir)) {
-          fs.mkdirSync(downloadsDir, { recursive: true });
-        }
-        const filepath = path.join(downloadsDir, filename);
-        fs.writeFileSync(filepath, pdfBuffer);
-        console.log(`PDF saved to: ${filepath}`);
-      } catch (saveError) {
-        console.log('Note: Could not save PDF file locally (this is normal in production)');
-      }
-    }
-    
-    console.log(`Generated filename: ${filename}`);
-    return filename;
+    return new TextDecoder(declaration ? declaration[1] : 'utf-8').decode(buffer);
   } catch (error) {
-    console.error('Error generating PDF filename:', error.message);
-    // Return a fallback filename
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const urlHash = Buffer.from(url).toString('base64').substring(0, 10).replace(/[^a-zA-Z0-9]/g, '');
-    return `pdf-${timestamp}-${urlHash}.pdf`;
+    return buffer.toString('latin1');
   }
 }
 
-// GET endpoint to download PDF from ASP URL
-app.get('/download-pdf', async (req, res) => {
-  let page = null;
-  try {
-    const { url } = req.query;
+// Read an SII XML DTE into the metadata schema of extractPdfMetadata, from its Encabezado
+// (IdDoc, Emisor, Receptor, Totales), plus its Detalle line items in `detalle`
+// Only the first DTE of an EnvioDTE is read; fields it doesn't have are null
+function parseDteXml(xmlBuffer) {
+  const metadata = { ...emptyPdfMetadata(), detalle: [] };
+  const xml = decodeXmlBuffer(xmlBuffer);
+  const [documento] = xmlElements(xml, 'Documento');
+  if (documento === undefined) {
+    logger.warn('XML DTE has no Documento element');
+    return metadata;
+  }
 
-    // Validate URL parameter
-    if (!url) {
-      return res.status(400).json({
-        error: 'Missing required parameter: url',
-        message: 'Please provide a URL query parameter'
-      });
-    }
+  const [encabezado = ''] = xmlElements(documento, 'Encabezado');
+  const [idDoc = ''] = xmlElements(encabezado, 'IdDoc');
+  const [emisor = ''] = xmlElements(encabezado, 'Emisor');
+  const [receptor = ''] = xmlElements(encabezado, 'Receptor');
+  const [totales = ''] = xmlElements(encabezado, 'Totales');
 
-    // Validate URL format
-    let targetUrl;
-    try {
-      targetUrl = new URL(url);
-    } catch (error) {
-      return res.status(400).json({
-        error: 'Invalid URL format',
-        message: 'Please provide a valid URL'
-      });
+  metadata.tipoDte = xmlNumber(idDoc, 'TipoDTE');
+  const type = DTE_DOCUMENT_TYPES.find(candidate => candidate.tipoDte === metadata.tipoDte);
+  metadata.documentType = type ? type.documentType : null;
+  metadata.folio = xmlNumber(idDoc, 'Folio');
+  const fecha = xmlText(idDoc, 'FchEmis');
+  metadata.fechaEmision = fecha && /^\d{4}-\d{2}-\d{2}$/.test(fecha) ? fecha : null;
+
+  // RUTs are labeled by the schema itself; one with a bad check digit is still listed
+  // as a candidate, but not used
+  [['emisor', xmlText(emisor, 'RUTEmisor')], ['receptor', xmlText(receptor, 'RUTRecep')]].forEach(([role, value]) => {
+    if (!value) return;
+    const rut = normalizeRut(value);
+    const valid = isValidRut(rut);
+    metadata.rutCandidates.push({ rut, formatted: formatRut(rut), valid, role: valid ? role : null });
+    if (!valid) {
+      logger.warn(`Ignoring RUT with invalid check digit: ${formatRut(rut)}`);
+      return;
     }
+    metadata[`${role}Rut`] = rut;
+    metadata[`${role}RutSource`] = 'xml';
+  });
+  metadata.rut = metadata.receptorRut;
+  // Boletas name the emisor in RznSocEmisor instead of RznSoc
+  metadata.emisorRazonSocial = xmlText(emisor, 'RznSoc') || xmlText(emisor, 'RznSocEmisor');
+  metadata.receptorRazonSocial = xmlText(receptor, 'RznSocRecep');
 
-    console.log(`Starting PDF download from: ${url}`);
+  metadata.neto = xmlNumber(totales, 'MntNeto');
+  metadata.iva = xmlNumber(totales, 'IVA');
+  metadata.exento = xmlNumber(totales, 'MntExe');
+  metadata.total = xmlNumber(totales, 'MntTotal');
 
-    // Get browser instance
-    const browser = await getBrowser();
-    
-    // Create a new page
-    page = await browser.newPage();
+  metadata.detalle = xmlElements(documento, 'Detalle').map(detalle => {
+    const [codigo = ''] = xmlElements(detalle, 'CdgItem');
+    return {
+      linea: xmlNumber(detalle, 'NroLinDet'),
+      codigo: xmlText(codigo, 'VlrCodigo'),
+      nombre: xmlText(detalle, 'NmbItem'),
+      descripcion: xmlText(detalle, 'DscItem'),
+      cantidad: xmlNumber(detalle, 'QtyItem'),
+      unidad: xmlText(detalle, 'UnmdItem'),
+      precio: xmlNumber(detalle, 'PrcItem'),
+      descuento: xmlNumber(detalle, 'DescuentoMonto'),
+      monto: xmlNumber(detalle, 'MontoItem'),
+      exento: xmlText(detalle, 'IndExe') === '1'
+    };
+  });
 
-    // Set a reasonable timeout
-    page.setDefaultTimeout(60000);
+  const tedMatch = documento.match(/<(?:[\w.-]+:)?TED[\s>][\s\S]*?<\/(?:[\w.-]+:)?TED>/);
+  metadata.ted = tedMatch ? checkTed(parseTed(tedMatch[0]), metadata) : null;
 
-    // Variable to store PDF buffer
-    let pdfBuffer = null;
-    let pdfCaptured = false;
-    const requestIdMap = new Map(); // Map to store request IDs for CDP
-    let cdpClient = null;
+  logger.info(`Parsed XML DTE: tipo ${metadata.tipoDte}, folio ${metadata.folio}, ${metadata.detalle.length} line items`);
+  return metadata;
+}
 
-    // Enable CDP Network domain to track requests
-    try {
-      cdpClient = await page.target().createCDPSession();
-      await cdpClient.send('Network.enable');
-      console.log('CDP Network domain enabled');
-    } catch (error) {
-      console.log('Could not enable CDP Network domain:', error.message);
+// Timbre Electrónico (TED): the signed summary of a DTE that the SII has printed on it as a
+// PDF417 barcode, and that the XML DTE carries too:
+//   <TED><DD> RE TD F FE RR RSR MNT IT1 <CAF>...</CAF> TSTED </DD><FRMT>signature</FRMT></TED>
+// FRMT signs the DD with the key of the CAF (the folio range the SII authorized), whose
+// public half is in the CAF itself, so a TED that was edited after signing is detected.
+// The CAF is not checked against the SII certificates: a TED signed with a made-up CAF
+// verifies too, so signature.valid is no proof that the SII authorized the folio
+const TED_CHECKED_FIELDS = ['emisorRut', 'tipoDte', 'folio', 'fechaEmision', 'receptorRut', 'total'];
+
+// The barcode holds ISO-8859-1 text, which zxing can't decode by itself in Node
+ZXingStringEncoding.customDecoder = (bytes, encoding) => (
+  encoding === 'ISO-8859-1' ? Buffer.from(bytes).toString('latin1') : new TextDecoder(encoding).decode(bytes)
+);
+
+// Check FRMT against the DD it signs, with the public key of the CAF
+// Returns true or false, or null when the TED has no key or signature to check with
+function verifyTedSignature(dd, caf, frmt) {
+  const modulus = xmlText(caf, 'M');
+  const exponent = xmlText(caf, 'E');
+  if (!modulus || !exponent || !frmt) return null;
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: {
+        kty: 'RSA',
+        n: Buffer.from(modulus, 'base64').toString('base64url'),
+        e: Buffer.from(exponent, 'base64').toString('base64url')
+      },
+      format: 'jwk'
+    });
+    // The DD is signed flattened: without whitespace between its tags
+    const signed = Buffer.from(dd.replace(/>\s+</g, '><'), 'latin1');
+    return crypto.verify('sha1', signed, publicKey, Buffer.from(frmt.replace(/\s+/g, ''), 'base64'));
+  } catch (error) {
+    logger.warn('Could not verify the TED signature', { error });
+    return null;
+  }
+}
+
+// Read a TED (XML text) into { emisorRut, tipoDte, folio, fechaEmision, receptorRut,
+// receptorRazonSocial, total, primerItem, timbradoAt, caf, signature }, or null without a DD
+function parseTed(tedXml) {
+  const ddMatch = tedXml.match(/<(?:[\w.-]+:)?DD[\s>][\s\S]*<\/(?:[\w.-]+:)?DD>/);
+  if (!ddMatch) return null;
+  const dd = ddMatch[0];
+  const [caf = ''] = xmlElements(dd, 'CAF');
+  // The CAF has its own RE and TD: read the DD fields without it
+  const fields = dd.replace(/<(?:[\w.-]+:)?CAF[\s>][\s\S]*<\/(?:[\w.-]+:)?CAF>/, '');
+  const rut = tag => {
+    const value = xmlText(fields, tag);
+    return value ? normalizeRut(value) : null;
+  };
+  const [signatureTag = ''] = tedXml.match(/<(?:[\w.-]+:)?FRMT\b[^>]*>/) || [];
+  const frmt = xmlText(tedXml, 'FRMT');
+
+  return {
+    emisorRut: rut('RE'),
+    tipoDte: xmlNumber(fields, 'TD'),
+    folio: xmlNumber(fields, 'F'),
+    fechaEmision: xmlText(fields, 'FE'),
+    receptorRut: rut('RR'),
+    receptorRazonSocial: xmlText(fields, 'RSR'),
+    total: xmlNumber(fields, 'MNT'),
+    primerItem: xmlText(fields, 'IT1'),
+    timbradoAt: xmlText(fields, 'TSTED'),
+    caf: caf ? {
+      folioDesde: xmlNumber(caf, 'D'),
+      folioHasta: xmlNumber(caf, 'H'),
+      fechaAutorizacion: xmlText(caf, 'FA')
+    } : null,
+    signature: {
+      algorithm: parseHtmlAttributes(signatureTag).algoritmo || null,
+      value: frmt,
+      valid: verifyTedSignature(dd, caf, frmt)
     }
+  };
+}
 
-    // Track responses via CDP Network events
-    // Store response info for later retrieval
-    const cdpResponseMap = new Map(); // Map requestId -> response info
-    
-    if (cdpClient) {
-      cdpClient.on('Network.responseReceived', async (event) => {
-        if (pdfCaptured) return;
-        
-        const response = event.response;
-        const contentType = response.headers['content-type'] || '';
-        const responseUrl = response.url;
-        const status = response.status;
-        const requestId = event.requestId;
-        
-        // Store response info for later retrieval
-        cdpResponseMap.set(requestId, {
-          url: responseUrl,
-          contentType: contentType,
-          status: status,
-          mimeType: response.mimeType
-        });
-        
-        console.log(`CDP Response [${status}]: ${responseUrl.substring(0, 100)}..., Content-Type: ${contentType}, RequestId: ${requestId}`);
-        
-        // Check for PDF responses (POST or GET)
-        if (contentType.includes('application/pdf') || response.mimeType === 'application/pdf') {
-          console.log(`CDP detected PDF response: ${responseUrl}, RequestId: ${requestId}`);
-          // Don't try to get body immediately - wait for loadingFinished
-        }
-      });
-      
-      // Track request finished events to catch POST responses
-      // This is where we can reliably get the response body
-      cdpClient.on('Network.loadingFinished', async (event) => {
-        if (pdfCaptured) return;
-        
-        const requestId = event.requestId;
-        const responseInfo = cdpResponseMap.get(requestId);
-        
-        if (!responseInfo) {
-          return; // Not a response we're tracking
+// Add to a parsed TED how it compares with the metadata read from the rest of the document:
+// crossCheck = { status: 'match' | 'mismatch', mismatches: [{ field, ted, metadata }],
+// unchecked: fields the metadata doesn't have }. A TED whose signature doesn't verify is a
+// mismatch too, since its fields can't be trusted
+function checkTed(ted, metadata) {
+  if (!ted) return null;
+  const mismatches = [];
+  const unchecked = [];
+  TED_CHECKED_FIELDS.forEach(field => {
+    if (metadata[field] === null || metadata[field] === undefined) {
+      unchecked.push(field);
+    } else if (ted[field] !== metadata[field]) {
+      mismatches.push({ field, ted: ted[field], metadata: metadata[field] });
+    }
+  });
+  const status = mismatches.length > 0 || ted.signature.valid === false ? 'mismatch' : 'match';
+  if (status === 'mismatch') {
+    logger.warn(`TED does not match the document (${mismatches.map(({ field }) => field).concat(
+      ted.signature.valid === false ? ['signature'] : []).join(', ')})`);
+  }
+  return { ...ted, crossCheck: { status, mismatches, unchecked } };
+}
+
+// pdf.js is an ES module: load it on first use
+let pdfjsModule = null;
+function loadPdfjs() {
+  pdfjsModule = pdfjsModule || import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsModule;
+}
+
+// Render a PDF page (all of it, or its bottom half) on a white background; returns its ImageData
+async function renderPdfPage(page, bottomHalfOnly) {
+  const viewport = page.getViewport({ scale: TED_RENDER_SCALE });
+  const top = bottomHalfOnly ? Math.floor(viewport.height / 2) : 0;
+  const width = Math.ceil(viewport.width);
+  const height = Math.ceil(viewport.height) - top;
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  await page.render({ canvas, canvasContext: context, viewport, transform: [1, 0, 0, 1, 0, -top] }).promise;
+  return context.getImageData(0, 0, width, height);
+}
+
+// Text of the PDF417 barcode in a rendered image, or null if none could be read
+function decodePdf417({ data, width, height }) {
+  const luminances = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luminances.length; i++) {
+    luminances[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+  try {
+    const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(luminances, width, height)));
+    return new PDF417Reader().decode(bitmap, new Map([[DecodeHintType.TRY_HARDER, true]])).getText();
+  } catch (error) {
+    return null; // No barcode found, or too damaged to read
+  }
+}
+
+// Find the TED barcode of a PDF and return its text, or null. The SII has it printed at the
+// bottom of the page, so the bottom half of the first and last page is tried before the
+// whole page
+async function readPdfTed(pdfBuffer) {
+  const pdfjs = await loadPdfjs();
+  // pdf.js takes ownership of the bytes it is given, so it gets a copy
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  }).promise;
+  try {
+    for (const pageNumber of new Set([1, document.numPages])) {
+      const page = await document.getPage(pageNumber);
+      for (const bottomHalfOnly of [true, false]) {
+        const text = decodePdf417(await renderPdfPage(page, bottomHalfOnly));
+        if (text && /<(?:[\w.-]+:)?TED[\s>]/.test(text)) {
+          return text;
         }
-        
-        const contentType = responseInfo.contentType || '';
-        const responseUrl = responseInfo.url;
-        
-        // Check if this is a PDF response
-        if (contentType.includes('application/pdf') || responseInfo.mimeType === 'application/pdf') {
-          console.log(`CDP loadingFinished for PDF: ${responseUrl}, RequestId: ${requestId}`);
-          
-          try {
-            // Wait a bit for the response body to be fully available
-            await delay(300);
-            
-            const { body, base64Encoded } = await cdpClient.send('Network.getResponseBody', {
-              requestId: requestId
-            });
-            
-            if (body) {
-              const buffer = base64Encoded 
-                ? Buffer.from(body, 'base64') 
-                : Buffer.from(body, 'utf8');
-              
-              const header = buffer.slice(0, 4).toString();
-              console.log(`CDP PDF buffer size: ${buffer.length} bytes, header: ${header}`);
-              
-              if (header === '%PDF') {
-                pdfBuffer = buffer;
-                pdfCaptured = true;
-                console.log(`✓ PDF buffer captured via CDP loadingFinished: ${buffer.length} bytes`);
-              } else {
-                console.log(`CDP: Response claims to be PDF but header doesn't match: ${header} (first 50: ${buffer.slice(0, 50).toString()})`);
-              }
-            } else {
-              console.log('CDP: Response body is empty');
-            }
-          } catch (error) {
-            console.log(`CDP loadingFinished handler error: ${error.message}`);
-            // Retry after a longer delay
-            try {
-              await delay(1000);
-              const { body, base64Encoded } = await cdpClient.send('Network.getResponseBody', {
-                requestId: requestId
-              });
-              
-              if (body) {
-                const buffer = base64Encoded 
-                  ? Buffer.from(body, 'base64') 
-                  : Buffer.from(body, 'utf8');
-                
-                const header = buffer.slice(0, 4).toString();
-                if (header === '%PDF') {
-                  pdfBuffer = buffer;
-                  pdfCaptured = true;
-                  console.log(`✓ PDF buffer captured via CDP (retry): ${buffer.length} bytes`);
-                }
-              }
-            } catch (retryError) {
-              console.log(`CDP retry also failed: ${retryError.message}`);
-            }
+      }
+    }
+    return null;
+  } finally {
+    await document.destroy();
+  }
+}
+
+// Rendering pages takes about half a second and 150 MB per PDF, so decodes take one of
+// TED_MAX_CONCURRENT slots, and wait in order for a free one
+const tedWaiters = []; // { resolve, signal, onAbort } waiting for a free slot
+let tedSlotsInUse = 0;
+
+// Take a free decode slot, or wait for one (rejects with signal.reason as soon as signal is aborted)
+function acquireTedSlot(signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  if (tedSlotsInUse < TED_MAX_CONCURRENT && tedWaiters.length === 0) {
+    tedSlotsInUse++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, signal, onAbort: null };
+    if (signal) {
+      waiter.onAbort = () => {
+        tedWaiters.splice(tedWaiters.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', waiter.onAbort, { once: true });
+    }
+    tedWaiters.push(waiter);
+  });
+}
+
+// Hand the slot to the next waiting decode, or free it
+function releaseTedSlot() {
+  const waiter = tedWaiters.shift();
+  if (!waiter) {
+    tedSlotsInUse--;
+    return;
+  }
+  if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+  waiter.resolve();
+}
+
+// The TED of a PDF, parsed and checked against the metadata read from its text (see checkTed),
+// or null when there is none or it couldn't be decoded. Only throws signal.reason, when the
+// download is cancelled while waiting for a slot: the TED is extra evidence, not something a
+// download needs
+async function extractPdfTed(pdfBuffer, metadata, signal) {
+  if (!TED_ENABLED) return null;
+  await acquireTedSlot(signal);
+  let ted = null;
+  try {
+    const tedXml = await readPdfTed(pdfBuffer);
+    if (!tedXml) {
+      logger.info('No TED barcode found in the PDF');
+    } else {
+      ted = checkTed(parseTed(tedXml), metadata);
+      if (ted) logger.info(`Decoded TED: folio ${ted.folio}, cross-check ${ted.crossCheck.status}`);
+    }
+  } catch (error) {
+    logger.warn('Could not decode the TED barcode', { error });
+  } finally {
+    releaseTedSlot();
+  }
+  tedChecksTotal.inc({ outcome: ted ? ted.crossCheck.status : 'not_found' });
+  return ted;
+}
+
+// Placeholders available in filename templates: every metadata field, the date parts
+// of fechaEmision, the generation timestamp and the content/URL hashes
+const FILENAME_METADATA_FIELDS = [
+  'rut', 'fechaEmision', 'documentType', 'tipoDte', 'folio',
+  'emisorRut', 'emisorRazonSocial', 'receptorRut', 'receptorRazonSocial',
+  'neto', 'iva', 'exento', 'total'
+];
+const FILENAME_PLACEHOLDERS = [
+  ...FILENAME_METADATA_FIELDS,
+  'year', 'month', 'day', 'timestamp', 'contentHash', 'urlHash'
+];
+
+// Check a filename template for unknown placeholders
+// Returns an error object ({ error, message, code, retryable }) or null if the template is usable
+function validateFilenameTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return {
+      error: 'Invalid filename template',
+      message: 'filenameTemplate must be a non-empty string',
+      code: 'INVALID_FILENAME_TEMPLATE',
+      retryable: false
+    };
+  }
+
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)]
+    .map(match => match[1])
+    .filter(name => !FILENAME_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    return {
+      error: 'Invalid filename template',
+      message: `Unknown placeholders: ${unknown.join(', ')}. Available: ${FILENAME_PLACEHOLDERS.join(', ')}`,
+      code: 'INVALID_FILENAME_TEMPLATE',
+      retryable: false
+    };
+  }
+
+  return null;
+}
+
+// Check a request's timeout (milliseconds, at most DOWNLOAD_MAX_TIMEOUT_MS)
+// Returns an error object ({ error, message, code, retryable }) or null if the timeout is usable
+function validateDownloadTimeout(timeout) {
+  const timeoutMs = Number(timeout);
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 1000 || timeoutMs > DOWNLOAD_MAX_TIMEOUT_MS) {
+    return {
+      error: 'Invalid timeout',
+      message: `timeout must be a number of milliseconds between 1000 and ${DOWNLOAD_MAX_TIMEOUT_MS}`,
+      code: 'INVALID_TIMEOUT',
+      retryable: false
+    };
+  }
+  return null;
+}
+
+// What a download returns: the PDF, the XML DTE or both
+const DOCUMENT_TYPES = ['pdf', 'xml', 'both'];
+
+// Validate the `type` of a download; returns { error, message, code, retryable } or null
+function validateDocumentType(type) {
+  if (!DOCUMENT_TYPES.includes(type)) {
+    return {
+      error: 'Invalid type',
+      message: `type must be one of: ${DOCUMENT_TYPES.join(', ')}`,
+      code: 'INVALID_TYPE',
+      retryable: false
+    };
+  }
+  return null;
+}
+
+// Make a placeholder value safe for a filename: no accents, no spaces, no path characters
+function sanitizeFilenameValue(value) {
+  return stripAccents(String(value))
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/[^A-Za-z0-9._-]/g, '')
+    .substring(0, FILENAME_VALUE_MAX_LENGTH);
+}
+
+// Fold the literal text of a template to printable ASCII: 'Nº' -> 'No', accents dropped,
+// anything else outside ASCII removed
+function foldFilenameLiteral(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '');
+}
+
+// Replace the placeholders of a template; returns null if a placeholder has no value
+// and allowMissing is false
+function renderFilenameTemplate(template, values, allowMissing = false) {
+  let missing = false;
+  // Odd parts are the placeholders, even parts the literal text between them
+  const rendered = template.split(/(\{\w+\})/).map((part, index) => {
+    if (index % 2 === 0) return foldFilenameLiteral(part);
+    const value = values[part.slice(1, -1)];
+    if (value === null || value === undefined || value === '') {
+      missing = true;
+      return '';
+    }
+    return sanitizeFilenameValue(value);
+  }).join('');
+  if (missing && !allowMissing) return null;
+
+  // Literal parts of the template are user input too: drop path and reserved characters
+  let filename = rendered
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '-')
+    .replace(/([-_])\1+/g, '$1')
+    .replace(/^[-_.\s]+|[-_.\s]+$/g, '');
+  filename = filename.replace(/\.pdf$/i, '').substring(0, FILENAME_MAX_LENGTH);
+  return filename ? `${filename}.pdf` : null;
+}
+
+// Values of the FILENAME_PLACEHOLDERS for a PDF and its extracted metadata
+function filenameTemplateValues(pdfBuffer, url, metadata) {
+  const values = {
+    timestamp: new Date().toISOString().replace(/[:.]/g, '-'),
+    urlHash: Buffer.from(url).toString('base64').substring(0, 10).replace(/[^a-zA-Z0-9]/g, '')
+  };
+  FILENAME_METADATA_FIELDS.forEach(field => {
+    values[field] = metadata[field];
+  });
+  if (metadata.fechaEmision) {
+    [values.year, values.month, values.day] = metadata.fechaEmision.split('-');
+  }
+  values.contentHash = crypto.createHash('sha256').update(pdfBuffer).digest('hex').substring(0, 16);
+  return values;
+}
+
+// Helper function to generate PDF filename from metadata
+// Note: the PDF itself is stored by storePdf() - filename is returned for Google Apps Script
+// Pass already extracted metadata to avoid parsing the PDF twice
+// The template defaults to FILENAME_TEMPLATE; FILENAME_FALLBACK_TEMPLATE is used when a
+// metadata placeholder of the template couldn't be extracted
+async function generatePdfFilename(pdfBuffer, url, metadata = null, template = null) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const urlHash = Buffer.from(url).toString('base64').substring(0, 10).replace(/[^a-zA-Z0-9]/g, '');
+  try {
+    // Extract metadata from PDF
+    const extracted = metadata || await extractPdfMetadata(pdfBuffer);
+    const values = filenameTemplateValues(pdfBuffer, url, extracted);
+    
+    let filename = renderFilenameTemplate(template || FILENAME_TEMPLATE, values);
+    if (!filename) {
+      // Fallback template if extraction fails
+      const missing = FILENAME_METADATA_FIELDS.filter(field => values[field] === null || values[field] === undefined);
+      logger.warn(`Could not extract ${missing.join(', ')} from PDF, using fallback filename template`);
+      filename = renderFilenameTemplate(FILENAME_FALLBACK_TEMPLATE, values, true) || `pdf-${timestamp}-${urlHash}.pdf`;
+    }
+    
+    logger.info(`Generated filename: ${filename}`);
+    return filename;
+  } catch (error) {
+    logger.error('Error generating PDF filename', { error });
+    // Return a fallback filename
+    return `pdf-${timestamp}-${urlHash}.pdf`;
+  }
+}
+
+// Error codes returned by the API: the HTTP status, whether the same request may succeed
+// if retried later, and the `error` title of download failures
+const ERROR_CODES = {
+  // Invalid input
+  MISSING_URL: { status: 400, retryable: false },
+  INVALID_URL: { status: 400, retryable: false },
+  UNSUPPORTED_URL_SCHEME: { status: 400, retryable: false },
+  INVALID_FILENAME_TEMPLATE: { status: 400, retryable: false },
+  INVALID_STRATEGIES: { status: 400, retryable: false },
+  INVALID_TIMEOUT: { status: 400, retryable: false },
+  INVALID_TYPE: { status: 400, retryable: false },
+  INVALID_IDEMPOTENCY_KEY: { status: 400, retryable: false },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, retryable: false },
+  INVALID_INPUT: { status: 400, retryable: false },
+  HOST_NOT_ALLOWED: { status: 403, retryable: false },
+  PRIVATE_ADDRESS_BLOCKED: { status: 403, retryable: false },
+  HOST_RESOLUTION_FAILED: { status: 422, retryable: false },
+  // Nubox
+  UPSTREAM_NOT_FOUND: { status: 404, retryable: false, error: 'Document not found' },
+  UPSTREAM_EXPIRED: { status: 410, retryable: false, error: 'Document link expired' },
+  UPSTREAM_ERROR: { status: 502, retryable: true, error: 'Nubox returned an error' },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true, error: 'Nubox did not respond in time' },
+  NOT_A_PDF: { status: 502, retryable: false, error: 'Response was not a PDF' },
+  PDF_TOO_LARGE: { status: 502, retryable: false, error: 'Document too large' },
+  XML_NOT_FOUND: { status: 502, retryable: false, error: 'No XML DTE found' },
+  METADATA_EXTRACTION_FAILED: { status: 422, retryable: false, error: 'Metadata extraction failed' },
+  // This service
+  BROWSER_LAUNCH_FAILED: { status: 503, retryable: true, error: 'Browser unavailable' },
+  BROWSER_BUSY: { status: 503, retryable: true, error: 'Browser unavailable' },
+  BROWSER_CRASHED: { status: 503, retryable: true, error: 'Browser crashed' },
+  JOB_QUEUE_FULL: { status: 503, retryable: true },
+  STORAGE_FAILED: { status: 502, retryable: true, error: 'Could not store the PDF' },
+  DEADLINE_EXCEEDED: { status: 504, retryable: true, error: 'Download timed out' },
+  // Never seen by the client, but logged and kept in job results
+  CLIENT_DISCONNECTED: { status: 499, retryable: true, error: 'Client disconnected' },
+  CAPTURE_FAILED: { status: 500, retryable: true, error: 'Failed to download PDF' }
+};
+
+function statusForCode(code) {
+  return ERROR_CODES[code] ? ERROR_CODES[code].status : 400;
+}
+
+// A download failure with a stable code from ERROR_CODES
+class DownloadError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DownloadError';
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    this.retryable = ERROR_CODES[code].retryable;
+  }
+}
+
+// A URL rejected by the SSRF protection (scheme, host allowlist or private address)
+class UrlPolicyError extends DownloadError {
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'UrlPolicyError';
+  }
+}
+
+// Puppeteer errors seen when the browser or its page went away mid-request
+const BROWSER_GONE_PATTERN = /Target closed|Session closed|Connection closed|browser has disconnected/i;
+
+// Give any error thrown while downloading a code: Puppeteer timeouts are upstream
+// timeouts, closed targets a crashed browser, anything else unexpected is CAPTURE_FAILED
+function toDownloadError(error) {
+  if (error instanceof DownloadError) return error;
+  const message = error ? error.message : 'Unknown error';
+  let code = 'CAPTURE_FAILED';
+  if (error && error.name === 'TimeoutError') {
+    code = 'UPSTREAM_TIMEOUT';
+  } else if (BROWSER_GONE_PATTERN.test(message)) {
+    code = 'BROWSER_CRASHED';
+  }
+  const classified = new DownloadError(code, message);
+  classified.diagnosticsId = error && error.diagnosticsId;
+  classified.captureTrace = error && error.captureTrace;
+  classified.attempts = error && error.attempts;
+  classified.downloadId = error && error.downloadId;
+  return classified;
+}
+
+// Map an error thrown while downloading to the HTTP status and JSON body sent to clients
+function describeDownloadError(error) {
+  const classified = toDownloadError(error);
+  return {
+    status: classified.status,
+    body: {
+      error: classified instanceof UrlPolicyError ? 'URL not allowed' : ERROR_CODES[classified.code].error,
+      message: classified.message,
+      code: classified.code,
+      retryable: classified.retryable,
+      attempts: classified.attempts,
+      downloadId: classified.downloadId,
+      diagnosticsId: classified.diagnosticsId,
+      capture: classified.captureTrace ? { strategy: null, trace: classified.captureTrace } : undefined
+    }
+  };
+}
+
+// Nubox error pages, recognised by their text (lower case, without accents): the expired
+// download link and the deleted document, not any page that mentions something expired
+const UPSTREAM_ERROR_PAGES = [
+  { code: 'UPSTREAM_EXPIRED', pattern: /\b(enlace|link)( de descarga)?( ha)? (expirado|caducado|vencido)\b/ },
+  { code: 'UPSTREAM_NOT_FOUND', pattern: /\bdocumento (solicitado )?no (existe|fue encontrado)\b|\bdocumento no encontrado\b|\bdocumento [^.]{0,40}\bfue eliminado\b/ }
+];
+
+// Session and login pages: a missing or expired session, which the browser may not have
+const SESSION_PAGE_PATTERN = /\bsesion (ha )?(expirad[oa]|caducad[oa]|invalid[oa]|finalizad[oa])\b|\b(inicie|iniciar|inicio de) sesion\b/;
+
+// Visible text of an HTML page, whitespace collapsed
+function htmlPageText(html) {
+  return decodeHtmlEntities((html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isSessionPage(html) {
+  return SESSION_PAGE_PATTERN.test(stripAccents(htmlPageText(html)).toLowerCase());
+}
+
+// Recognise a Nubox error page from its HTML and HTTP status
+// Returns a DownloadError, or null when the page doesn't look like an error
+function classifyUpstreamPage(html, status) {
+  const text = htmlPageText(html);
+  const excerpt = text.substring(0, 200);
+
+  // A server error is temporary whatever its page says (e.g. "no se encuentra disponible")
+  if (status >= 500) {
+    return new DownloadError('UPSTREAM_ERROR', `Nubox answered HTTP ${status}${excerpt ? `: ${excerpt}` : ''}`);
+  }
+  const normalized = stripAccents(text).toLowerCase();
+  const match = UPSTREAM_ERROR_PAGES.find(page => page.pattern.test(normalized));
+  if (match) {
+    return new DownloadError(match.code, `Nubox error page: ${excerpt}`);
+  }
+  if (status === 404 || status === 410) {
+    return new DownloadError(status === 404 ? 'UPSTREAM_NOT_FOUND' : 'UPSTREAM_EXPIRED', `Nubox answered HTTP ${status}`);
+  }
+  return null;
+}
+
+// The eight 16-bit groups of an IPv6 address, with "::" expanded and a trailing dotted
+// IPv4 part turned into the last two groups
+function ipv6Groups(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    text = `${dotted[1]}${(a * 256 + b).toString(16)}:${(c * 256 + d).toString(16)}`;
+  }
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  const high = parse(head);
+  const low = parse(tail);
+  return [...high, ...new Array(8 - high.length - low.length).fill(0), ...low];
+}
+
+// Whether an IP address is loopback, private, link-local or otherwise not public. IPv6
+// addresses that carry an IPv4 address (mapped, NAT64, 6to4, Teredo) are judged by it,
+// since that is where their packets end up
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    const groups = ipv6Groups(address);
+    const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+    const embedded = (high, low) => isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    // IPv4-compatible (::a.b.c.d, which covers :: and ::1), IPv4-mapped (::ffff:a.b.c.d)
+    // and IPv4-translated (::ffff:0:a.b.c.d)
+    if (zeros(0, 6) || (zeros(0, 5) && groups[5] === 0xffff) || (zeros(0, 4) && groups[4] === 0xffff && groups[5] === 0)) {
+      return embedded(groups[6], groups[7]);
+    }
+    // NAT64: 64:ff9b::/96 ends with the IPv4 address; the rest of 64:ff9b::/32 (local-use
+    // 64:ff9b:1::/48) translates to networks of its own
+    if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+      return zeros(2, 6) ? embedded(groups[6], groups[7]) : true;
+    }
+    // 6to4 (2002::/16): the IPv4 address follows the prefix
+    if (groups[0] === 0x2002) {
+      return embedded(groups[1], groups[2]);
+    }
+    // Teredo (2001::/32): the server address, then the client address with its bits inverted
+    if (groups[0] === 0x2001 && groups[1] === 0) {
+      return embedded(groups[2], groups[3]) || embedded(groups[6] ^ 0xffff, groups[7] ^ 0xffff);
+    }
+    return (groups[0] & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+      (groups[0] & 0xffc0) === 0xfe80 || // fe80::/10 link-local
+      (groups[0] & 0xffc0) === 0xfec0 || // fec0::/10 site-local
+      (groups[0] & 0xff00) === 0xff00 || // multicast
+      (groups[0] === 0x100 && zeros(1, 4)) || // 100::/64 discard
+      (groups[0] === 0x2001 && groups[1] === 0xdb8); // documentation
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) || // link-local, cloud metadata
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0 && address.split('.')[2] === '0') ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224; // multicast and reserved
+}
+
+// Whether a hostname matches ALLOWED_HOSTS ("example.com", "*.example.com" or "*")
+function isHostAllowed(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return ALLOWED_HOSTS.some(pattern => {
+    if (pattern === '*') return true;
+    if (pattern.startsWith('*.')) return host.endsWith(pattern.substring(1));
+    return host === pattern;
+  });
+}
+
+// Synchronous URL policy checks: scheme, host allowlist and literal private IPs
+// options.anyHost skips the allowlist, for URLs that are not Nubox's (webhooks)
+// Throws UrlPolicyError
+function checkUrlPolicy(url, { anyHost = false } = {}) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new UrlPolicyError('UNSUPPORTED_URL_SCHEME', `Only http and https URLs are allowed, got ${parsed.protocol}`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!anyHost && !isHostAllowed(hostname)) {
+    throw new UrlPolicyError('HOST_NOT_ALLOWED', `Host ${hostname} is not in the allowed hosts list`);
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname) && !ALLOW_PRIVATE_ADDRESSES) {
+    throw new UrlPolicyError('PRIVATE_ADDRESS_BLOCKED', `Address ${hostname} is private or loopback`);
+  }
+  return parsed;
+}
+
+// Full URL policy check, including the addresses the host resolves to
+// options as for checkUrlPolicy; throws UrlPolicyError
+async function assertUrlAllowed(url, options = {}) {
+  const parsed = checkUrlPolicy(url, options);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (ALLOW_PRIVATE_ADDRESSES || net.isIP(hostname)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new UrlPolicyError('HOST_RESOLUTION_FAILED', `Could not resolve ${hostname}: ${error.code || error.message}`);
+  }
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw new UrlPolicyError('PRIVATE_ADDRESS_BLOCKED', `Host ${hostname} resolves to private address ${blocked.address}`);
+  }
+}
+
+// DNS lookup for the connections of fetchPublicUrl: resolution failures and private
+// addresses fail with a UrlPolicyError (unless ALLOW_PRIVATE_ADDRESSES)
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(new UrlPolicyError('HOST_RESOLUTION_FAILED', `Could not resolve ${hostname}: ${error.code || error.message}`));
+    }
+    const blocked = ALLOW_PRIVATE_ADDRESSES ? null : addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new UrlPolicyError('PRIVATE_ADDRESS_BLOCKED', `Host ${hostname} resolves to private address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAddressAgent = new undici.Agent({ connect: { lookup: lookupPublicAddress } });
+
+// fetch() for URLs outside the browser. The host is resolved once, for the connection
+// itself, and the address checked there is the one connected to: a host can't pass a check
+// with a public address and then be reached at a private one (DNS rebinding). Literal IP
+// hosts are not looked up, so the URL must have passed checkUrlPolicy. A blocked address
+// rejects with its UrlPolicyError in error.cause
+function fetchPublicUrl(url, options) {
+  return undici.fetch(url, { ...options, dispatcher: publicAddressAgent });
+}
+
+// The UrlPolicyError that made fetchPublicUrl() fail, or null
+function urlPolicyCause(error) {
+  return error && error.cause instanceof UrlPolicyError ? error.cause : null;
+}
+
+// Check every request a page makes: navigations (including each redirect) must pass the
+// full URL policy, other http(s) requests must not reach private addresses, and only
+// data: and blob: are allowed besides http(s). onBlocked receives the UrlPolicyError
+// of blocked navigations
+async function installRequestGuard(page, onBlocked) {
+  await page.setRequestInterception(true);
+  page.on('request', AsyncResource.bind(async (request) => {
+    const requestUrl = request.url();
+    try {
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        await assertUrlAllowed(requestUrl);
+      } else if (/^(data|blob):/i.test(requestUrl)) {
+        // Inline content never leaves the browser
+      } else {
+        const { protocol, hostname } = new URL(requestUrl);
+        if (protocol !== 'http:' && protocol !== 'https:') {
+          throw new UrlPolicyError('UNSUPPORTED_URL_SCHEME', `Blocked ${protocol} request`);
+        }
+        if (!ALLOW_PRIVATE_ADDRESSES) {
+          const host = hostname.replace(/^\[|\]$/g, '');
+          const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+          const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+          if (blocked) {
+            throw new UrlPolicyError('PRIVATE_ADDRESS_BLOCKED', `Blocked request to private address ${blocked.address}`);
           }
         }
+      }
+    } catch (error) {
+      logger.debug(`Blocked request to ${requestUrl.substring(0, 100)}: ${error.message}`);
+      if (error instanceof UrlPolicyError && request.isNavigationRequest() && onBlocked) {
+        onBlocked(error);
+      }
+      await request.abort('blockedbyclient').catch(() => {});
+      return;
+    }
+    await request.continue().catch(() => {});
+  }));
+}
+
+// Helper function to validate the url parameter
+// Returns an error object ({ error, message, code, retryable }) or null if the URL is usable;
+// the HTTP status for the code is in ERROR_CODES
+function validatePdfUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return {
+      error: 'Missing required parameter: url',
+      message: 'Please provide a URL query parameter',
+      code: 'MISSING_URL',
+      retryable: false
+    };
+  }
+
+  try {
+    new URL(url);
+  } catch (error) {
+    return {
+      error: 'Invalid URL format',
+      message: 'Please provide a valid URL',
+      code: 'INVALID_URL',
+      retryable: false
+    };
+  }
+
+  try {
+    checkUrlPolicy(url);
+  } catch (error) {
+    const { error: title, message, code, retryable } = describeDownloadError(error).body;
+    return { error: title, message, code, retryable };
+  }
+
+  return null;
+}
+
+// Minimal cookie jar for the browser-free fast path: keeps name/value pairs per
+// domain and path, and drops cookies that the server expires
+function createCookieJar() {
+  const cookies = [];
+
+  return {
+    store(setCookieHeaders, requestUrl) {
+      const { hostname } = new URL(requestUrl);
+      setCookieHeaders.forEach(header => {
+        const [pair, ...attributes] = header.split(';');
+        const separator = pair.indexOf('=');
+        if (separator <= 0) return;
+        const cookie = {
+          name: pair.substring(0, separator).trim(),
+          value: pair.substring(separator + 1).trim(),
+          domain: hostname,
+          hostOnly: true,
+          path: '/',
+          expired: false
+        };
+        attributes.forEach(attribute => {
+          const [key, ...rest] = attribute.split('=');
+          const value = rest.join('=').trim();
+          switch (key.trim().toLowerCase()) {
+            case 'domain':
+              cookie.domain = value.replace(/^\./, '').toLowerCase();
+              cookie.hostOnly = false;
+              break;
+            case 'path':
+              cookie.path = value || '/';
+              break;
+            case 'max-age':
+              cookie.expired = parseInt(value, 10) <= 0;
+              break;
+            case 'expires':
+              cookie.expired = Date.parse(value) <= Date.now();
+              break;
+          }
+        });
+
+        const existing = cookies.findIndex(c => c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path);
+        if (existing >= 0) cookies.splice(existing, 1);
+        if (!cookie.expired) cookies.push(cookie);
+      });
+    },
+
+    header(requestUrl) {
+      const { hostname, pathname } = new URL(requestUrl);
+      return cookies
+        .filter(c => (c.hostOnly ? hostname === c.domain : hostname === c.domain || hostname.endsWith(`.${c.domain}`)))
+        .filter(c => pathname.startsWith(c.path))
+        .map(c => `${c.name}=${c.value}`)
+        .join('; ');
+    }
+  };
+}
+
+// Decode the few HTML entities found in attribute values
+function decodeHtmlEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Parse the attributes of an HTML tag into a lower-cased name -> value object
+function parseHtmlAttributes(tag) {
+  const attributes = {};
+  const attributePattern = /([^\s=<>"'\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  const body = tag.replace(/^<\w+/, '').replace(/\/?>$/, '');
+  for (const match of body.matchAll(attributePattern)) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = value !== undefined ? decodeHtmlEntities(value) : '';
+  }
+  return attributes;
+}
+
+// Find the next request an HTML page would make on its own: an auto-submitting form
+// (what Nubox's ASP pages use), or a meta refresh
+// Returns { url, method, body } or null
+function findAutoNavigation(html, pageUrl) {
+  const formMatch = html.match(/<form\b[^>]*>([\s\S]*?)<\/form>/i);
+  if (formMatch && /\.submit\s*\(/i.test(html)) {
+    const formAttributes = parseHtmlAttributes(formMatch[0].match(/<form\b[^>]*>/i)[0]);
+    const data = new URLSearchParams();
+
+    // Same fields the browser would send: named inputs (checked ones only for
+    // checkboxes and radios), textareas and selects
+    for (const inputMatch of formMatch[1].matchAll(/<input\b[^>]*>/gi)) {
+      const input = parseHtmlAttributes(inputMatch[0]);
+      const type = (input.type || 'text').toLowerCase();
+      if (!input.name || ['submit', 'button', 'image', 'reset', 'file'].includes(type)) continue;
+      if ((type === 'checkbox' || type === 'radio') && input.checked === undefined) continue;
+      data.append(input.name, input.value !== undefined ? input.value : (type === 'checkbox' || type === 'radio' ? 'on' : ''));
+    }
+    for (const textareaMatch of formMatch[1].matchAll(/<textarea\b([^>]*)>([\s\S]*?)<\/textarea>/gi)) {
+      const textarea = parseHtmlAttributes(`<textarea${textareaMatch[1]}>`);
+      if (textarea.name) data.append(textarea.name, decodeHtmlEntities(textareaMatch[2]));
+    }
+    for (const selectMatch of formMatch[1].matchAll(/<select\b([^>]*)>([\s\S]*?)<\/select>/gi)) {
+      const select = parseHtmlAttributes(`<select${selectMatch[1]}>`);
+      const options = [...selectMatch[2].matchAll(/<option\b[^>]*>/gi)].map(option => parseHtmlAttributes(option[0]));
+      const selected = options.find(option => option.selected !== undefined) || options[0];
+      if (select.name && selected) data.append(select.name, selected.value || '');
+    }
+
+    const method = (formAttributes.method || 'GET').toUpperCase();
+    const action = new URL(formAttributes.action || pageUrl, pageUrl);
+    if (method === 'POST') {
+      return { url: action.href, method: 'POST', body: data.toString() };
+    }
+    action.search = data.toString();
+    return { url: action.href, method: 'GET', body: null };
+  }
+
+  const refreshMatch = html.match(/<meta\b[^>]*http-equiv\s*=\s*["']?refresh["']?[^>]*>/i);
+  if (refreshMatch) {
+    const content = parseHtmlAttributes(refreshMatch[0]).content || '';
+    const urlMatch = content.match(/url\s*=\s*['"]?([^'"]+)/i);
+    if (urlMatch) {
+      return { url: new URL(urlMatch[1].trim(), pageUrl).href, method: 'GET', body: null };
+    }
+  }
+
+  return null;
+}
+
+// Ask a form request for format: the DOWNLOAD_FORMAT_FIELD of the Nubox download form
+// picks the PDF or the XML DTE. Requests without that field are returned as they are
+function withDownloadFormat(request, format) {
+  if (!format.formValue) return request;
+  if (request.body !== null) {
+    const data = new URLSearchParams(request.body);
+    if (!data.has(DOWNLOAD_FORMAT_FIELD)) return request;
+    data.set(DOWNLOAD_FORMAT_FIELD, format.formValue);
+    return { ...request, body: data.toString() };
+  }
+  const target = new URL(request.url);
+  if (!target.searchParams.has(DOWNLOAD_FORMAT_FIELD)) return request;
+  target.searchParams.set(DOWNLOAD_FORMAT_FIELD, format.formValue);
+  return { ...request, url: target.href };
+}
+
+// The error for a response over MAX_PDF_BYTES; bytes is its size when it is known
+function pdfTooLargeError(bytes) {
+  const size = bytes ? ` of ${bytes} bytes` : '';
+  return new DownloadError('PDF_TOO_LARGE', `The response${size} is larger than MAX_PDF_BYTES (${MAX_PDF_BYTES} bytes)`);
+}
+
+// Read the body of a fetch response, up to MAX_PDF_BYTES: a larger Content-Length is
+// refused before reading, and a body that grows past the limit is cancelled
+async function readResponseBody(response) {
+  const length = Number(response.headers.get('content-length'));
+  if (length > MAX_PDF_BYTES) {
+    if (response.body) await response.body.cancel().catch(() => {});
+    throw pdfTooLargeError(length);
+  }
+  if (!response.body) return Buffer.alloc(0);
+
+  const chunks = [];
+  let received = 0;
+  // Leaving the loop by the throw cancels the stream, which closes the connection
+  for await (const chunk of response.body) {
+    received += chunk.length;
+    if (received > MAX_PDF_BYTES) throw pdfTooLargeError(null);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, received);
+}
+
+// fetch() from inside the page, with its cookies unless init says otherwise, reading at most
+// MAX_PDF_BYTES of the body there: only then is it copied out of the browser
+// Resolves with { ok, status, contentType, data } (data a Buffer)
+async function fetchInPage(page, url, init = {}) {
+  const result = await page.evaluate(async (fetchUrl, fetchInit, maxBytes) => {
+    const response = await fetch(fetchUrl, { credentials: 'include', ...fetchInit });
+    const head = { ok: response.ok, status: response.status, contentType: response.headers.get('content-type') || '' };
+    const length = Number(response.headers.get('content-length'));
+    if (length > maxBytes) {
+      if (response.body) await response.body.cancel();
+      return { ...head, tooLarge: true, size: length };
+    }
+    if (!response.body) return { ...head, data: [] };
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      received += value.length;
+      if (received > maxBytes) {
+        await reader.cancel();
+        return { ...head, tooLarge: true, size: null };
+      }
+      chunks.push(value);
+    }
+    const data = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return { ...head, data: Array.from(data) };
+  }, url, init, MAX_PDF_BYTES);
+
+  if (result.tooLarge) throw pdfTooLargeError(result.size);
+  return { ok: result.ok, status: result.status, contentType: result.contentType, data: Buffer.from(result.data) };
+}
+
+// Refuse a browser response whose Content-Length is over MAX_PDF_BYTES before its body is read
+function checkContentLength(headers) {
+  const length = Number(headers['content-length']);
+  if (length > MAX_PDF_BYTES) throw pdfTooLargeError(length);
+}
+
+// Browser-free capture: follow redirects with a cookie jar, replay auto-submitting forms
+// and meta refreshes, and accept the first response that starts with %PDF
+// Resolves with the PDF buffer, or null so the caller can fall back to Puppeteer
+// signal cancels it, rejecting with signal.reason
+// format (a DOCUMENT_FORMATS entry) looks for the XML DTE instead of the PDF
+async function fetchPdfWithoutBrowser(url, signal, format = DOCUMENT_FORMATS.pdf) {
+  const jar = createCookieJar();
+  const deadline = Date.now() + FAST_PATH_TIMEOUT_MS;
+  let request = { url, method: 'GET', body: null };
+  let referer = null;
+
+  try {
+    for (let step = 0; step < FAST_PATH_MAX_STEPS; step++) {
+      // Every hop (redirects, form targets, meta refreshes) goes through the URL policy, and
+      // fetchPublicUrl checks the address it connects to
+      checkUrlPolicy(request.url);
+
+      const headers = {
+        'User-Agent': FAST_PATH_USER_AGENT,
+        'Accept': `${format.contentTypes.join(',')},text/html,application/xhtml+xml,*/*;q=0.8`
+      };
+      const cookie = jar.header(request.url);
+      if (cookie) headers['Cookie'] = cookie;
+      if (referer) headers['Referer'] = referer;
+      if (request.body !== null) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+
+      const response = await fetchPublicUrl(request.url, {
+        method: request.method,
+        headers,
+        body: request.body,
+        redirect: 'manual',
+        signal: AbortSignal.any([AbortSignal.timeout(Math.max(deadline - Date.now(), 1)), signal].filter(Boolean))
       });
+      jar.store(response.headers.getSetCookie(), request.url);
+
+      logger.debug(`Fast path [${response.status}] ${request.method} ${request.url.substring(0, 100)}`);
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        // 307/308 keep the method and body, the other redirects become a GET
+        const keepMethod = response.status === 307 || response.status === 308;
+        request = {
+          url: new URL(location, request.url).href,
+          method: keepMethod ? request.method : 'GET',
+          body: keepMethod ? request.body : null
+        };
+        continue;
+      }
+
+      const buffer = await readResponseBody(response);
+      const contentType = response.headers.get('content-type') || '';
+
+      if (format.matches(buffer)) {
+        logger.info(`✓ ${format.label} captured without browser: ${buffer.length} bytes`);
+        return buffer;
+      }
+
+      if (!contentType.includes('html')) {
+        logger.info(`Fast path: unexpected response (Content-Type: ${contentType}), giving up`);
+        return null;
+      }
+
+      // ASP pages are often served as windows-1252
+      const charsetMatch = contentType.match(/charset=([^;]+)/i);
+      let html;
+      try {
+        html = new TextDecoder(charsetMatch ? charsetMatch[1].trim() : 'utf-8').decode(buffer);
+      } catch (error) {
+        html = buffer.toString('latin1');
+      }
+
+      // A session or login page may only mean the fast path lacks what the browser has,
+      // such as a cookie set by JavaScript: leave it to the browser
+      if (isSessionPage(html)) {
+        logger.info('Fast path: session or login page, falling back to the browser');
+        return null;
+      }
+
+      // A Nubox error page won't look any different in the browser. The page goes with the
+      // error, for the diagnostics bundle
+      const upstreamError = classifyUpstreamPage(html, response.status);
+      if (upstreamError && upstreamError.code !== 'UPSTREAM_ERROR') {
+        upstreamError.upstreamPage = { url: request.url, html };
+        throw upstreamError;
+      }
+
+      const next = findAutoNavigation(html, request.url);
+      if (!next) {
+        logger.info('Fast path: no redirect, auto-submit form or meta refresh found, giving up');
+        return null;
+      }
+      referer = request.url;
+      request = withDownloadFormat(next, format);
+    }
+
+    logger.info(`Fast path: no ${format.label} after ${FAST_PATH_MAX_STEPS} steps, giving up`);
+  } catch (error) {
+    if (signal && signal.aborted) throw signal.reason;
+    if (error instanceof DownloadError) throw error;
+    if (urlPolicyCause(error)) throw urlPolicyCause(error);
+    logger.info(`Fast path failed: ${error.message}`);
+  }
+  return null;
+}
+
+// Diagnostics bundles: DIAGNOSTICS_DIR/<id>/ holds bundle.json (URLs, error, network
+// responses), page.html and screenshot.png of the page as the capture left it
+const DIAGNOSTICS_STEP_TIMEOUT_MS = 10000;
+
+// Resolve with the value of promise, or with fallback if it fails or takes longer than ms
+function settleWithin(promise, ms, fallback) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(fallback), ms);
+  });
+  return Promise.race([promise.catch(() => fallback), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Save a bundle for page and return its ID, or null if it could not be written
+// responses is the cdpResponseMap of the capture. Without a page (a fast path failure),
+// snapshot = { url, html } is the page saved, with no screenshot
+async function saveDiagnosticsBundle(page, { url, error = null, responses, apiKeyName = null, snapshot = null }) {
+  const id = crypto.randomUUID();
+  try {
+    const html = page
+      ? await settleWithin(page.content(), DIAGNOSTICS_STEP_TIMEOUT_MS, null)
+      : (snapshot ? snapshot.html : null);
+    const screenshot = page
+      ? await settleWithin(page.screenshot({ fullPage: true }), DIAGNOSTICS_STEP_TIMEOUT_MS, null)
+      : null;
+    const bundle = {
+      id,
+      createdAt: new Date().toISOString(),
+      requestId: (logContext.getStore() || {}).requestId || null,
+      apiKeyName,
+      outcome: error ? 'failure' : 'success',
+      url,
+      finalUrl: page ? (page.isClosed() ? null : page.url()) : (snapshot ? snapshot.url : null),
+      error: error ? { message: error.message, code: error.code || null } : null,
+      responses: [...responses.values()]
+    };
+
+    const dir = path.join(DIAGNOSTICS_DIR, id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, 'bundle.json'), JSON.stringify(bundle, null, 2));
+    if (html !== null) {
+      await fs.promises.writeFile(path.join(dir, 'page.html'), html);
+    }
+    if (screenshot) {
+      await fs.promises.writeFile(path.join(dir, 'screenshot.png'), screenshot);
+    }
+    logger.info(`Diagnostics bundle saved: ${id}`);
+    return id;
+  } catch (saveError) {
+    logger.error('Error saving diagnostics bundle', { error: saveError });
+    return null;
+  }
+}
+
+// Read a bundle with its HTML and base64 screenshot, or null if it doesn't exist
+async function readDiagnosticsBundle(id) {
+  if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+  const dir = path.join(DIAGNOSTICS_DIR, id);
+  try {
+    const bundle = JSON.parse(await fs.promises.readFile(path.join(dir, 'bundle.json'), 'utf8'));
+    const html = await fs.promises.readFile(path.join(dir, 'page.html'), 'utf8').catch(() => null);
+    const screenshot = await fs.promises.readFile(path.join(dir, 'screenshot.png')).catch(() => null);
+    return { ...bundle, html, screenshot: screenshot ? screenshot.toString('base64') : null };
+  } catch (error) {
+    return null;
+  }
+}
+
+async function purgeExpiredDiagnostics() {
+  const entries = await fs.promises.readdir(DIAGNOSTICS_DIR).catch(() => []);
+  const cutoff = Date.now() - DIAGNOSTICS_RETENTION_MS;
+  for (const entry of entries) {
+    const dir = path.join(DIAGNOSTICS_DIR, entry);
+    const stats = await fs.promises.stat(dir).catch(() => null);
+    if (stats && stats.isDirectory() && stats.mtimeMs < cutoff) {
+      await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+setInterval(() => {
+  purgeExpiredDiagnostics().catch(error => logger.error('Error purging diagnostics', { error }));
+}, Math.min(DIAGNOSTICS_RETENTION_MS, 60 * 60 * 1000)).unref();
+
+// Whether buffer holds a PDF (checked by its %PDF magic bytes, not the Content-Type)
+function isPdfBuffer(buffer) {
+  return Boolean(buffer && buffer.length > 0 && buffer.slice(0, 4).toString() === '%PDF');
+}
+
+// Whether buffer holds an SII XML DTE: an XML document with a DTE (or an EnvioDTE or
+// EnvioBOLETA wrapping DTEs) near its start, with or without a namespace prefix
+function isDteXmlBuffer(buffer) {
+  if (!buffer || buffer.length === 0) return false;
+  const head = buffer.slice(0, 4096).toString('latin1').replace(/^\u00EF\u00BB\u00BF/, '').trimStart();
+  return head.startsWith('<') && /<(?:[\w.-]+:)?(?:DTE|EnvioDTE|EnvioBOLETA)[\s>]/.test(head);
+}
+
+// Documents a capture can look for. Each one is recognized by its Content-Type and its
+// bytes, and read into the metadata schema of extractPdfMetadata. formValue is what the
+// DOWNLOAD_FORMAT_FIELD of the Nubox download form is set to (null leaves the form alone)
+const DOCUMENT_FORMATS = {
+  pdf: {
+    label: 'PDF',
+    extension: 'pdf',
+    contentTypes: ['application/pdf'],
+    matches: isPdfBuffer,
+    extractMetadata: buffer => extractPdfMetadata(buffer),
+    formValue: null
+  },
+  xml: {
+    label: 'XML DTE',
+    extension: 'xml',
+    contentTypes: ['application/xml', 'text/xml'],
+    matches: isDteXmlBuffer,
+    extractMetadata: buffer => parseDteXml(buffer),
+    formValue: 'xml'
+  }
+};
+
+function isFormatContentType(format, contentType) {
+  return format.contentTypes.some(type => contentType.includes(type));
+}
+
+// Fetch a response body through a CDP session as a Buffer, or null if it is empty
+async function readCdpResponseBody(client, requestId) {
+  const { body, base64Encoded } = await client.send('Network.getResponseBody', { requestId });
+  if (!body) return null;
+  return base64Encoded ? Buffer.from(body, 'base64') : Buffer.from(body, 'utf8');
+}
+
+// Capture strategies, tried in order once the page has loaded until one returns a PDF.
+// Listener strategies watch the traffic while the page loads and report what they caught;
+// the others act on the loaded page. Each one receives the capture state built by runPdfCapture:
+// { url, format, page, cdpClient, cdpResponseMap, requestIdMap, navigationResponse, navigationStartedAt,
+//   caught (strategy name -> { buffer, elapsedMs }), done (a listener already has a PDF) }
+// format is the DOCUMENT_FORMATS entry looked for: "PDF" below means that document
+const CAPTURE_STRATEGIES = {
+  // Read POST responses through CDP once they finish loading
+  cdp_loading_finished: {
+    listener: true,
+    install(capture) {
+      const { cdpClient, cdpResponseMap, format } = capture;
+      if (!cdpClient) return;
+
+      // Track request finished events to catch POST responses
+      // This is where we can reliably get the response body
+      cdpClient.on('Network.loadingFinished', AsyncResource.bind(async (event) => {
+        if (capture.done) return;
+
+        const requestId = event.requestId;
+        const responseInfo = cdpResponseMap.get(requestId);
+
+        if (!responseInfo) {
+          return; // Not a response we're tracking
+        }
+
+        const contentType = responseInfo.contentType || '';
+        const responseUrl = responseInfo.url;
+
+        // Check if this is a PDF response
+        if (!isFormatContentType(format, contentType) && !format.contentTypes.includes(responseInfo.mimeType)) {
+          return;
+        }
+        logger.debug(`CDP loadingFinished for ${format.label}: ${responseUrl}, RequestId: ${requestId}`);
+        if (event.encodedDataLength > MAX_PDF_BYTES) {
+          capture.tooLargeError = capture.tooLargeError || pdfTooLargeError(event.encodedDataLength);
+          return;
+        }
+
+        // The body is not always available right away: try again after a longer delay
+        for (const wait of [300, 1000]) {
+          try {
+            await delay(wait);
+            const buffer = await readCdpResponseBody(cdpClient, requestId);
+            if (!buffer) {
+              logger.info('CDP: Response body is empty');
+              return;
+            }
+
+            logger.debug(`CDP ${format.label} buffer size: ${buffer.length} bytes, header: ${buffer.slice(0, 4).toString()}`);
+            if (format.matches(buffer)) {
+              recordListenerCapture(capture, 'cdp_loading_finished', buffer);
+              logger.info(`✓ ${format.label} buffer captured via CDP loadingFinished: ${buffer.length} bytes`);
+            } else {
+              logger.warn(`CDP: Response claims to be ${format.label} but content doesn't match (first 50: ${buffer.slice(0, 50).toString()})`);
+            }
+            return;
+          } catch (error) {
+            logger.info(`CDP loadingFinished handler error: ${error.message}`);
+          }
+        }
+      }));
+    }
+  },
+
+  // Read every response the page receives through Puppeteer
+  page_response: {
+    listener: true,
+    install(capture) {
+      const { page, requestIdMap, format } = capture;
+
+      page.on('response', AsyncResource.bind(async (response) => {
+        if (capture.done) return; // Already captured, skip
+
+        const contentType = response.headers()['content-type'] || '';
+        const responseUrl = response.url();
+        const status = response.status();
+
+        // Log all responses for debugging
+        logger.debug(`Response [${status}]: ${responseUrl.substring(0, 100)}..., Content-Type: ${contentType}`);
+
+        // Check responses that might be PDFs (by content-type or URL pattern)
+        const isPdfContentType = isFormatContentType(format, contentType);
+        const isPdfUrl = responseUrl.toLowerCase().includes(format.extension);
+        if (!isPdfContentType && !isPdfUrl && status !== 200) {
+          return;
+        }
+        try {
+          checkContentLength(response.headers());
+        } catch (error) {
+          if (isPdfContentType) capture.tooLargeError = capture.tooLargeError || error;
+          return;
+        }
+
+        try {
+          // Try to get the buffer from the response
+          const buffer = await response.buffer().catch(async (err) => {
+            logger.debug(`Could not get buffer for ${responseUrl}: ${err.message}`);
+            if (!isPdfContentType) return null;
+
+            // If buffer() fails, try using CDP (Chrome DevTools Protocol)
+            try {
+              logger.debug(`Attempting to get PDF via CDP for ${responseUrl}`);
+              const client = await page.target().createCDPSession();
+              const request = response.request();
+              const requestId = request._requestId || response._requestId ||
+                requestIdMap.get(responseUrl) || request._interceptionId;
+
+              logger.debug(`CDP Request ID: ${requestId}`);
+              if (!requestId) {
+                logger.info('Could not find request ID for CDP');
+                return null;
+              }
+              return await readCdpResponseBody(client, requestId);
+            } catch (cdpError) {
+              logger.info(`CDP method failed: ${cdpError.message}`);
+              return null;
+            }
+          });
+
+          if (format.matches(buffer)) {
+            recordListenerCapture(capture, 'page_response', buffer);
+            logger.info(`✓ ${format.label} buffer captured from ${responseUrl}: ${buffer.length} bytes`);
+          } else if (buffer && buffer.length > 0 && isPdfContentType) {
+            // Content-type says PDF but magic bytes don't match
+            logger.warn(`Response claims to be ${format.label} but header is: ${buffer.slice(0, 4).toString()} (first 50 chars: ${buffer.slice(0, 50).toString()})`);
+          }
+        } catch (error) {
+          logger.info(`Error processing response ${responseUrl}`, { error });
+          if (!isPdfContentType) return;
+
+          // If all methods fail, try to fetch the URL directly from page context
+          try {
+            logger.info(`Attempting to fetch PDF via page.evaluate for ${responseUrl}`);
+            const { data: buffer } = await fetchInPage(page, responseUrl, { credentials: 'same-origin' });
+            if (format.matches(buffer)) {
+              recordListenerCapture(capture, 'page_response', buffer);
+              logger.info(`✓ ${format.label} buffer captured via fetch: ${buffer.length} bytes`);
+            }
+          } catch (fetchError) {
+            logger.info('Fetch method also failed', { error: fetchError });
+            if (fetchError.code === 'PDF_TOO_LARGE') capture.tooLargeError = capture.tooLargeError || fetchError;
+          }
+        }
+      }));
+    }
+  },
+
+  // Read the body of the response to the first navigation
+  initial_response: {
+    applies: capture => Boolean(capture.navigationResponse),
+    async capture({ navigationResponse, format }) {
+      const contentType = navigationResponse.headers()['content-type'] || '';
+      if (!isFormatContentType(format, contentType)) return null;
+
+      checkContentLength(navigationResponse.headers());
+      const buffer = await navigationResponse.buffer();
+      if (!format.matches(buffer)) {
+        logger.warn(`Response claims to be ${format.label} but header is`, { header: buffer.slice(0, 4).toString() });
+        return null;
+      }
+      return buffer;
+    }
+  },
+
+  // Replay the form of the final page with fetch() from the page, so its cookies are sent.
+  // The browser keeps its same-origin policy, so a form posting to another origin can't be
+  // read this way; the strategies reading responses through CDP still see that response
+  form_replay_fetch: {
+    applies: capture => capture.page.url() !== capture.url,
+    async capture({ page, format }) {
+      const currentUrl = page.url();
+      logger.info('URL changed, attempting to fetch the new URL directly via browser fetch...');
+
+      // First, try to get form data and submit it
+      const formData = await page.evaluate(() => {
+        const form = document.querySelector('form');
+        if (form) {
+          const data = {};
+
+          // Get all form inputs (including hidden fields)
+          const inputs = form.querySelectorAll('input, textarea, select');
+          inputs.forEach(input => {
+            const name = input.name;
+            const type = input.type;
+            const value = input.value;
+
+            if (name) {
+              // Handle checkboxes and radios
+              if (type === 'checkbox' || type === 'radio') {
+                if (input.checked) {
+                  data[name] = value || 'on';
+                }
+              } else {
+                data[name] = value || '';
+              }
+            }
+          });
+
+          return {
+            action: form.action || window.location.href,
+            method: (form.method || 'POST').toUpperCase(),
+            data: data
+          };
+        }
+        return null;
+      });
+
+      if (formData) {
+        logger.info(`Form found: ${formData.method} ${formData.action}, fields: ${Object.keys(formData.data).join(', ')}`);
+        // The form is replayed from the page, so its target must pass the URL policy too
+        await assertUrlAllowed(formData.action || currentUrl);
+        if (format.formValue && Object.prototype.hasOwnProperty.call(formData.data, DOWNLOAD_FORMAT_FIELD)) {
+          formData.data[DOWNLOAD_FORMAT_FIELD] = format.formValue;
+        }
+      }
+
+      // Fetch from the browser context (handles cookies/auth), submitting the form data
+      // as application/x-www-form-urlencoded when there is a form
+      const accept = `${format.contentTypes.join(',')},application/octet-stream,*/*`;
+      const init = formData
+        ? {
+          method: formData.method || 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': accept },
+          body: new URLSearchParams(formData.data).toString()
+        }
+        : { method: 'GET', headers: { 'Accept': accept } };
+      const fetchResponse = await fetchInPage(page, (formData && formData.action) || currentUrl, init).catch(error => {
+        if (error instanceof DownloadError) throw error;
+        logger.info('Fetch error in page context', { error });
+        return null;
+      });
+
+      if (!fetchResponse || !fetchResponse.ok || fetchResponse.data.length === 0) {
+        return null;
+      }
+
+      const buffer = fetchResponse.data;
+      logger.debug(`Direct fetch buffer header: ${buffer.slice(0, 4).toString()}, size: ${buffer.length} bytes, content-type: ${fetchResponse.contentType}`);
+      if (!format.matches(buffer)) {
+        logger.info(`Direct fetch did not return ${format.label}. Header: ${buffer.slice(0, 4).toString()}, Content-Type: ${fetchResponse.contentType}`);
+        return null;
+      }
+      return buffer;
+    }
+  },
+
+  // Load the final URL again in the capture's own pooled page and read its response: a
+  // second page would hold another slot outside the pool's limits. Its request guard and
+  // the capture's cancellation still apply
+  // The name predates that, when it opened a new page. It is kept because clients pass it in
+  // `strategies` and CAPTURE_STRATEGIES, and dashboards read it as the path label of
+  // nubox_pdf_capture_path_total (the new-page fallback rate)
+  new_page_fallback: {
+    applies: capture => capture.page.url() !== capture.url,
+    async capture({ page, format, cdpClient }) {
+      const currentUrl = page.url();
+      logger.info('Trying fallback: loading the final URL again...');
+      const directResponse = await page.goto(currentUrl, {
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
+      if (!directResponse) return null;
+
+      logger.info(`Fallback fetch Content-Type: ${directResponse.headers()['content-type'] || ''}`);
+      checkContentLength(directResponse.headers());
+      const buffer = await directResponse.buffer().catch(async () => {
+        // If buffer fails, try CDP
+        try {
+          const requestId = directResponse.request()._requestId;
+          return cdpClient && requestId ? await readCdpResponseBody(cdpClient, requestId) : null;
+        } catch (cdpErr) {
+          logger.info('CDP fallback failed', { detail: cdpErr.message });
+          return null;
+        }
+      });
+      return format.matches(buffer) ? buffer : null;
+    }
+  }
+};
+
+// The error for a capture where no strategy found a PDF: a Nubox error page,
+// a navigation that timed out, or a response that simply wasn't a PDF (or the XML DTE)
+async function explainMissingPdf(capture) {
+  const html = await settleWithin(capture.page.content(), DIAGNOSTICS_STEP_TIMEOUT_MS, '');
+  const status = capture.navigationResponse ? capture.navigationResponse.status() : null;
+  const upstreamError = classifyUpstreamPage(html, status);
+  if (upstreamError) {
+    return upstreamError;
+  }
+  if (capture.navigationError && capture.navigationError.name === 'TimeoutError') {
+    return new DownloadError('UPSTREAM_TIMEOUT', `Nubox did not load the page: ${capture.navigationError.message}`);
+  }
+  if (capture.format.extension === 'xml') {
+    return new DownloadError('XML_NOT_FOUND', 'No XML DTE found. The URL may not offer the XML of the document, or its download failed.');
+  }
+  return new DownloadError('NOT_A_PDF', 'No PDF found. The URL may not redirect to a PDF file, or the PDF download failed.');
+}
+
+function recordListenerCapture(capture, name, buffer) {
+  capture.caught[name] = { buffer, elapsedMs: Date.now() - capture.navigationStartedAt };
+  capture.done = true;
+}
+
+// Parse a strategy list (comma-separated string or array) into names, or null if it is empty
+function parseCaptureStrategies(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const names = Array.isArray(value) ? value : String(value).split(',');
+  return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+// Validate a strategy list; returns { error, message, code, retryable } or null
+function validateCaptureStrategies(strategies) {
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    return {
+      error: 'Invalid capture strategies',
+      message: `Choose one or more of: ${Object.keys(CAPTURE_STRATEGIES).join(', ')}`,
+      code: 'INVALID_STRATEGIES',
+      retryable: false
+    };
+  }
+  const unknown = strategies.filter(name => !Object.prototype.hasOwnProperty.call(CAPTURE_STRATEGIES, name));
+  if (unknown.length > 0 || new Set(strategies).size !== strategies.length) {
+    return {
+      error: 'Invalid capture strategies',
+      message: unknown.length > 0
+        ? `Unknown strategy: ${unknown.join(', ')}. Choose from: ${Object.keys(CAPTURE_STRATEGIES).join(', ')}`
+        : 'Each strategy can only be listed once',
+      code: 'INVALID_STRATEGIES',
+      retryable: false
+    };
+  }
+  return null;
+}
+
+// Capture the PDF behind an ASP URL using the shared browser instance, and record its
+// duration, size, capture path and metadata hits in the metrics
+// Resolves with { buffer, filename, metadata, capturePath, trace, diagnosticsId } or throws if
+// no PDF could be captured (the error carries the trace in error.captureTrace)
+// options.filenameTemplate overrides FILENAME_TEMPLATE for this download
+// options.fastPath === false skips the browser-free attempt
+// options.strategies overrides CAPTURE_STRATEGIES (names and order) for this download
+// options.diagnostics === true saves a diagnostics bundle even when the capture succeeds
+// (only captures that opened a browser page have one)
+// options.signal (see createRequestDeadline) cancels the capture: pending waits stop, the
+// page is closed and the capture rejects with signal.reason
+// options.format 'xml' captures the XML DTE instead of the PDF (see DOCUMENT_FORMATS); its
+// metadata comes from parseDteXml, and it is left out of the PDF size and metadata metrics
+// Retryable failures are retried up to DOWNLOAD_MAX_ATTEMPTS times with exponential backoff;
+// the result (or the final error) carries the number of attempts in attempts
+async function capturePdf(url, options = {}) {
+  const { signal } = options;
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const result = await runPdfCapture(url, options);
+      captureDuration.observe({ outcome: 'success' }, (Date.now() - startedAt) / 1000);
+      if (result.format === 'pdf') {
+        pdfSize.observe({}, result.buffer.length);
+        capturePathTotal.inc({ path: result.capturePath });
+        metadataExtractionsTotal.inc();
+        if (result.metadata.rut) metadataFieldFoundTotal.inc({ field: 'rut' });
+        if (result.metadata.fechaEmision) metadataFieldFoundTotal.inc({ field: 'fechaEmision' });
+      }
+      return { ...result, attempts: attempt };
+    } catch (error) {
+      captureDuration.observe({ outcome: 'error' }, (Date.now() - startedAt) / 1000);
+
+      // BROWSER_BUSY already waited PAGE_QUEUE_TIMEOUT_MS for a page; don't wait again
+      const { code, retryable } = toDownloadError(error);
+      const cancelled = signal && signal.aborted;
+      if (cancelled || !retryable || code === 'BROWSER_BUSY' || attempt >= DOWNLOAD_MAX_ATTEMPTS) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const backoffMs = DOWNLOAD_RETRY_BACKOFF_MS * 2 ** (attempt - 1);
+      logger.warn(`Attempt ${attempt} of ${DOWNLOAD_MAX_ATTEMPTS} failed (${code}), retrying in ${backoffMs}ms`, { error });
+      captureRetriesTotal.inc({ code });
+      await delay(backoffMs, signal).catch(abortError => {
+        abortError.attempts = attempt;
+        throw abortError;
+      });
+    }
+  }
+}
+
+// Throw BROWSER_CRASHED when the browser of page went away (crash or killed process).
+// Its 'disconnected' handler is already relaunching it, and the next attempt waits for that
+// in getBrowser()
+function assertBrowserConnected(page) {
+  if (!page.browser().isConnected()) {
+    throw new DownloadError('BROWSER_CRASHED', 'The browser disconnected during the capture');
+  }
+}
+
+// The capture itself: fast path first, then the browser page and the capture strategies
+async function runPdfCapture(url, options = {}) {
+  const { signal } = options;
+  const format = DOCUMENT_FORMATS[options.format || 'pdf'];
+  let page = null;
+  const cdpResponseMap = new Map(); // Map requestId -> response info, also kept for diagnostics
+  const wantsDiagnostics = DIAGNOSTICS_ENABLED && (options.diagnostics === true || DIAGNOSTICS_ON_SUCCESS);
+  const strategies = options.strategies || CAPTURE_STRATEGY_ORDER;
+  const trace = []; // { strategy, outcome, durationMs, error? } for every attempt
+  // Deadline or client gone: closing the page ends every pending browser wait at once
+  const closeOnAbort = () => {
+    logger.info(`Capture cancelled (${signal.reason.code}), closing the page`);
+    releasePage(page);
+  };
+
+  // Everything that produced a PDF ends here
+  const finish = async (buffer, capturePath) => {
+    // Bodies read whole by the browser (CDP, Puppeteer) are only measured once they are here
+    if (buffer.length > MAX_PDF_BYTES) throw pdfTooLargeError(buffer.length);
+    const metadata = await format.extractMetadata(buffer);
+    const filename = (await generatePdfFilename(buffer, url, metadata, options.filenameTemplate))
+      .replace(/\.pdf$/i, `.${format.extension}`);
+    const diagnosticsId = page && wantsDiagnostics
+      ? await saveDiagnosticsBundle(page, { url, responses: cdpResponseMap, apiKeyName: options.apiKeyName })
+      : null;
+    if (page) {
+      await releasePage(page);
+    }
+    return { buffer, filename, metadata, capturePath, trace, diagnosticsId, format: format.extension };
+  };
+
+  try {
+    if (signal) signal.throwIfAborted();
+    logger.info(`Starting ${format.label} download from: ${url}`);
+
+    // Refuse hosts that resolve to private addresses before anything is fetched
+    await assertUrlAllowed(url);
+
+    // Most Nubox links only need a redirect and a form POST: try that without a browser first
+    if (FAST_PATH_ENABLED && options.fastPath !== false) {
+      const fastPathStartedAt = Date.now();
+      const fastPathBuffer = await fetchPdfWithoutBrowser(url, signal, format).catch(error => {
+        trace.push({ strategy: 'fast_path', outcome: 'failed', durationMs: Date.now() - fastPathStartedAt, error: error.message });
+        throw error;
+      });
+      trace.push({
+        strategy: 'fast_path',
+        outcome: fastPathBuffer ? 'captured' : 'no_pdf',
+        durationMs: Date.now() - fastPathStartedAt
+      });
+      if (fastPathBuffer) {
+        return await finish(fastPathBuffer, 'fast_path');
+      }
+      logger.info(`Fast path did not return a ${format.label}, falling back to the browser`);
+    }
+
+    // Get a page from the pool (waits if all pages are busy)
+    page = await acquirePage(signal);
+    if (signal) {
+      signal.addEventListener('abort', closeOnAbort, { once: true });
+      signal.throwIfAborted();
+    }
+
+    // Every navigation, including redirects, goes through the URL policy
+    let blockedNavigationError = null;
+    await installRequestGuard(page, (error) => {
+      blockedNavigationError = blockedNavigationError || error;
+    });
+
+    // Set a reasonable timeout
+    page.setDefaultTimeout(60000);
+
+    // The download form submits itself: have it ask for the XML DTE instead of the PDF
+    if (format.formValue) {
+      await page.evaluateOnNewDocument((field, value) => {
+        const selectFormat = form => {
+          if (form.elements[field]) form.elements[field].value = value;
+        };
+        const submit = HTMLFormElement.prototype.submit;
+        HTMLFormElement.prototype.submit = function () {
+          selectFormat(this);
+          return submit.call(this);
+        };
+        document.addEventListener('submit', event => selectFormat(event.target), true);
+      }, DOWNLOAD_FORMAT_FIELD, format.formValue);
+    }
+
+    const capture = {
+      url,
+      format,
+      page,
+      cdpClient: null,
+      cdpResponseMap,
+      requestIdMap: new Map(), // Map to store request IDs for CDP
+      navigationResponse: null,
+      navigationError: null,
+      navigationStartedAt: Date.now(),
+      signal,
+      caught: {},
+      tooLargeError: null, // A PDF_TOO_LARGE error, if a response was over MAX_PDF_BYTES
+      done: false
+    };
+
+    // Enable CDP Network domain to track requests
+    try {
+      capture.cdpClient = await page.target().createCDPSession();
+      await capture.cdpClient.send('Network.enable');
+      logger.info('CDP Network domain enabled');
+    } catch (error) {
+      logger.info('Could not enable CDP Network domain', { error });
+    }
+
+    // Track responses via CDP Network events, for the CDP strategy and the diagnostics
+    if (capture.cdpClient) {
+      capture.cdpClient.on('Network.responseReceived', AsyncResource.bind((event) => {
+        const response = event.response;
+        const contentType = response.headers['content-type'] || '';
+
+        cdpResponseMap.set(event.requestId, {
+          url: response.url,
+          contentType: contentType,
+          status: response.status,
+          mimeType: response.mimeType
+        });
+
+        logger.debug(`CDP Response [${response.status}]: ${response.url.substring(0, 100)}..., Content-Type: ${contentType}, RequestId: ${event.requestId}`);
+      }));
+    }
+
+    // Intercept requests to store request IDs for CDP access
+    page.on('request', AsyncResource.bind((request) => {
+      // Log POST requests (form submissions)
+      if (request.method() === 'POST') {
+        logger.debug(`POST request detected: ${request.url().substring(0, 100)}...`);
+      }
+      if (request._requestId) {
+        capture.requestIdMap.set(request.url(), request._requestId);
+      }
+    }));
+
+    const listeners = strategies.filter(name => CAPTURE_STRATEGIES[name].listener);
+    listeners.forEach(name => CAPTURE_STRATEGIES[name].install(capture));
+
+    // Navigate to the URL
+    // First, load the page (it may contain a form that auto-submits)
+    logger.info('Navigating to URL...');
+    capture.navigationStartedAt = Date.now();
+    capture.navigationResponse = await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: 60000
+    }).catch(async (error) => {
+      logger.info('Initial navigation error', { error });
+      capture.navigationError = error;
+      return null;
+    });
+    if (signal) signal.throwIfAborted();
+
+    logger.info('Page loaded, waiting for form submission and PDF response...');
+
+    // Wait for the form to submit and POST response
+    // The page has JavaScript that auto-submits a form via POST
+    try {
+      // Wait for navigation after form submission (up to 30 seconds)
+      // This will catch the POST response
+      await page.waitForNavigation({
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
+      logger.info('Navigation after form submission detected');
+    } catch (error) {
+      logger.info('Navigation wait timed out or form already submitted', { error });
+    }
+
+    if (listeners.length > 0) {
+      // Wait for PDF to be captured (POST response might take a moment)
+      // Check every 500ms for up to 40 seconds after navigation
+      logger.info('Waiting for PDF response (POST)...');
+      for (let i = 0; i < 80 && !capture.done; i++) {
+        await delay(500, signal);
+        assertBrowserConnected(page);
+      }
+
+      // If still not captured, wait for network to be completely idle
+      // POST responses might still be loading
+      if (!capture.done) {
+        logger.info('PDF not captured yet, waiting for network idle (POST response)...');
+        await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 20000 }).catch(() => {});
+        await delay(3000, signal); // Give extra time for POST response body to be available
+      }
+
+      // Final check - wait a bit more for CDP to finish processing
+      if (!capture.done) {
+        logger.info('Final wait for CDP to capture PDF...');
+        await delay(2000, signal);
+      }
+    }
+    if (signal) signal.throwIfAborted();
+    const listenedMs = Date.now() - capture.navigationStartedAt;
+    assertBrowserConnected(page);
+
+    logger.info(`Final page URL: ${page.url()}`);
+    logger.info(`Original URL: ${url}`);
+
+    // Try the strategies in order; listeners report the time from navigation to their PDF
+    for (const name of strategies) {
+      const strategy = CAPTURE_STRATEGIES[name];
+
+      if (strategy.listener) {
+        const caught = capture.caught[name];
+        trace.push({
+          strategy: name,
+          outcome: caught ? 'captured' : 'no_pdf',
+          durationMs: caught ? caught.elapsedMs : listenedMs
+        });
+        if (caught) {
+          return await finish(caught.buffer, name);
+        }
+        continue;
+      }
+
+      if (signal) signal.throwIfAborted();
+      assertBrowserConnected(page);
+      if (!strategy.applies(capture)) {
+        trace.push({ strategy: name, outcome: 'skipped', durationMs: 0 });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const buffer = await strategy.capture(capture);
+        trace.push({ strategy: name, outcome: buffer ? 'captured' : 'no_pdf', durationMs: Date.now() - startedAt });
+        if (buffer) {
+          logger.info(`✓ PDF captured by strategy ${name}: ${buffer.length} bytes`);
+          return await finish(buffer, name);
+        }
+      } catch (error) {
+        logger.info(`Capture strategy ${name} failed`, { error });
+        trace.push({ strategy: name, outcome: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+        if (error.code === 'PDF_TOO_LARGE') capture.tooLargeError = capture.tooLargeError || error;
+      }
+    }
+
+    // Last resort: If no PDF was found, return error (the catch below saves diagnostics and releases the page)
+    // A redirect to a blocked URL is the reason there's no PDF
+    if (blockedNavigationError) {
+      throw blockedNavigationError;
+    }
+    // ...and so is a response over MAX_PDF_BYTES
+    if (capture.tooLargeError) {
+      throw capture.tooLargeError;
+    }
+
+    if (signal) signal.throwIfAborted();
+    assertBrowserConnected(page);
+    throw await explainMissingPdf(capture);
+
+  } catch (caught) {
+    // Whatever failed, a cancelled capture or a browser that went away is the real cause
+    let error = caught;
+    if (signal && signal.aborted) {
+      error = signal.reason;
+    } else if (page && !(caught instanceof DownloadError) && !page.browser().isConnected()) {
+      error = new DownloadError('BROWSER_CRASHED', `The browser disconnected during the capture: ${caught.message}`);
+    }
+    error.captureTrace = trace;
+    // Keep what the page showed (a cancelled capture already closed it), then close it
+    if (page) {
+      if (DIAGNOSTICS_ENABLED && !(signal && signal.aborted)) {
+        error.diagnosticsId = await saveDiagnosticsBundle(page, {
+          url,
+          error,
+          responses: cdpResponseMap,
+          apiKeyName: options.apiKeyName
+        });
+      }
+      await releasePage(page);
+    } else if (error.upstreamPage && DIAGNOSTICS_ENABLED) {
+      error.diagnosticsId = await saveDiagnosticsBundle(null, {
+        url,
+        error,
+        responses: cdpResponseMap,
+        apiKeyName: options.apiKeyName,
+        snapshot: error.upstreamPage
+      });
+    }
+    throw error;
+  } finally {
+    if (signal) signal.removeEventListener('abort', closeOnAbort);
+  }
+}
+
+// PDF cache: a normalized URL maps to the content hash of the PDF captured from it, and
+// each content hash maps to the PDF bytes, so identical PDFs are only stored once.
+// The memory backend keeps the bytes in the content index; the disk backend writes them
+// to CACHE_DIR and persists both indexes in CACHE_DIR/index.json
+const cacheUrlIndex = new Map(); // urlKey -> { contentHash, metadata, cachedAt, expiresAt }
+const cacheContentIndex = new Map(); // contentHash -> { size, lastAccess, buffer }
+const cacheInFlight = new Map(); // urlKey -> capture promise, so concurrent requests share one page
+let cacheTotalBytes = 0;
+
+function isCacheEnabled() {
+  return CACHE_BACKEND !== 'none' && CACHE_TTL_MS > 0;
+}
+
+// Normalize a URL so trivially different spellings share a cache entry:
+// lower-case scheme and host, no default port, no fragment, sorted query parameters
+function normalizeCacheUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+function cacheContentPath(contentHash) {
+  return path.join(CACHE_DIR, `${contentHash}.pdf`);
+}
+
+// Load the disk cache index written by a previous run, dropping expired or missing entries
+function loadDiskCacheIndex() {
+  try {
+    const indexPath = path.join(CACHE_DIR, 'index.json');
+    if (!fs.existsSync(indexPath)) return;
+    const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    const now = Date.now();
+
+    (saved.contents || []).forEach(([contentHash, entry]) => {
+      if (fs.existsSync(cacheContentPath(contentHash))) {
+        cacheContentIndex.set(contentHash, { size: entry.size, lastAccess: entry.lastAccess, buffer: null });
+        cacheTotalBytes += entry.size;
+      }
+    });
+    (saved.urls || []).forEach(([urlKey, entry]) => {
+      if (entry.expiresAt > now && cacheContentIndex.has(entry.contentHash)) {
+        cacheUrlIndex.set(urlKey, entry);
+      }
+    });
+    logger.info(`Loaded PDF cache index: ${cacheUrlIndex.size} URLs, ${cacheContentIndex.size} PDFs`);
+  } catch (error) {
+    logger.error('Error loading PDF cache index', { error });
+  }
+}
+
+async function persistDiskCacheIndex() {
+  if (CACHE_BACKEND !== 'disk') return;
+  try {
+    const contents = [...cacheContentIndex].map(([contentHash, { size, lastAccess }]) => [contentHash, { size, lastAccess }]);
+    const index = JSON.stringify({ urls: [...cacheUrlIndex], contents });
+    await fs.promises.writeFile(path.join(CACHE_DIR, 'index.json'), index);
+  } catch (error) {
+    logger.error('Error saving PDF cache index', { error });
+  }
+}
+
+// Remove a stored PDF and every URL that points at it
+async function removeCachedContent(contentHash) {
+  const entry = cacheContentIndex.get(contentHash);
+  if (!entry) return;
+  cacheContentIndex.delete(contentHash);
+  cacheTotalBytes -= entry.size;
+  for (const [urlKey, urlEntry] of cacheUrlIndex) {
+    if (urlEntry.contentHash === contentHash) cacheUrlIndex.delete(urlKey);
+  }
+  if (CACHE_BACKEND === 'disk') {
+    await fs.promises.unlink(cacheContentPath(contentHash)).catch(() => {});
+  }
+}
+
+// Drop expired URLs, PDFs no URL points at, then least recently used PDFs until the
+// cache fits in CACHE_MAX_BYTES
+async function evictCache() {
+  const now = Date.now();
+  for (const [urlKey, entry] of cacheUrlIndex) {
+    if (entry.expiresAt <= now) cacheUrlIndex.delete(urlKey);
+  }
+
+  const referenced = new Set([...cacheUrlIndex.values()].map(entry => entry.contentHash));
+  for (const contentHash of [...cacheContentIndex.keys()]) {
+    if (!referenced.has(contentHash)) await removeCachedContent(contentHash);
+  }
+
+  if (cacheTotalBytes > CACHE_MAX_BYTES) {
+    const byAge = [...cacheContentIndex].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [contentHash] of byAge) {
+      if (cacheTotalBytes <= CACHE_MAX_BYTES) break;
+      await removeCachedContent(contentHash);
+    }
+  }
+}
+
+// Look up a PDF captured from the same URL within CACHE_TTL_MS
+// Returns { buffer, metadata, contentHash, cachedAt, stored } or null; stored is the copy of
+// the capture in storage (see rememberCachedStorage), or null
+async function readCachedPdf(url) {
+  const urlKey = normalizeCacheUrl(url);
+  const entry = cacheUrlIndex.get(urlKey);
+  if (!entry) return null;
+
+  const content = cacheContentIndex.get(entry.contentHash);
+  if (entry.expiresAt <= Date.now() || !content) {
+    cacheUrlIndex.delete(urlKey);
+    return null;
+  }
+
+  let buffer = content.buffer;
+  if (!buffer) {
+    try {
+      buffer = await fs.promises.readFile(cacheContentPath(entry.contentHash));
+    } catch (error) {
+      logger.error(`Cached PDF ${entry.contentHash} is unreadable`, { error });
+      await removeCachedContent(entry.contentHash);
+      return null;
+    }
+  }
+
+  content.lastAccess = Date.now();
+  return { buffer, metadata: entry.metadata, contentHash: entry.contentHash, cachedAt: entry.cachedAt, stored: entry.stored || null };
+}
+
+// Store a captured PDF under its URL and content hash
+async function writeCachedPdf(url, buffer, metadata, contentHash) {
+  try {
+    const now = Date.now();
+    if (!cacheContentIndex.has(contentHash)) {
+      if (CACHE_BACKEND === 'disk') {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        await fs.promises.writeFile(cacheContentPath(contentHash), buffer);
+      }
+      cacheContentIndex.set(contentHash, {
+        size: buffer.length,
+        lastAccess: now,
+        buffer: CACHE_BACKEND === 'memory' ? buffer : null
+      });
+      cacheTotalBytes += buffer.length;
+    } else {
+      logger.info(`PDF content ${contentHash} already cached, reusing it`);
+    }
+
+    cacheUrlIndex.set(normalizeCacheUrl(url), {
+      contentHash,
+      metadata,
+      cachedAt: now,
+      expiresAt: now + CACHE_TTL_MS
+    });
+
+    await evictCache();
+    await persistDiskCacheIndex();
+  } catch (error) {
+    logger.error('Error caching PDF', { error });
+  }
+}
+
+// Remember where the cached PDF of url was stored, under which filename and the filename
+// template that made it, so cache hits that ask for the same template return that copy
+// instead of storing the same PDF again
+async function rememberCachedStorage(url, contentHash, stored) {
+  const entry = cacheUrlIndex.get(normalizeCacheUrl(url));
+  if (!entry || entry.contentHash !== contentHash) return;
+  entry.stored = stored;
+  await persistDiskCacheIndex();
+}
+
+// Storage: every downloaded PDF is written to STORAGE_BACKEND under
+// <STORAGE_PATH_TEMPLATE folder>/<filename>
+
+// Render STORAGE_PATH_TEMPLATE into a relative folder ('' for none). Missing values become
+// "unknown", and each segment is sanitized like a filename so keys can't leave the folder
+function renderStorageFolder(template, values) {
+  return template.split('/')
+    .map(segment => segment
+      .replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = values[name];
+        return value === null || value === undefined || value === '' ? 'unknown' : sanitizeFilenameValue(value);
+      })
+      .replace(/[\\:*?"<>|\x00-\x1f]/g, '-')
+      .replace(/^[.\s]+|[.\s]+$/g, ''))
+    .filter(Boolean)
+    .join('/');
+}
+
+// Percent-encode a string the way AWS Signature Version 4 expects (RFC 3986)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Sign an S3 request with AWS Signature Version 4. headers (lowercase names) must include
+// x-amz-content-sha256; every header passed is signed. Returns the headers to send, with
+// x-amz-date and authorization added (host is set by fetch itself)
+function signS3Request(method, url, headers, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.substring(0, 8);
+  const signed = { ...headers, host: url.host, 'x-amz-date': amzDate };
+  if (S3_SESSION_TOKEN) signed['x-amz-security-token'] = S3_SESSION_TOKEN;
+
+  const names = Object.keys(signed).sort();
+  const canonicalQuery = [...url.searchParams]
+    .map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${String(signed[name]).trim()}\n`).join(''),
+    names.join(';'),
+    signed['x-amz-content-sha256']
+  ].join('\n');
+
+  const scope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${S3_SECRET_ACCESS_KEY}`, dateStamp), S3_REGION));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...sent } = signed;
+  sent.authorization = `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${scope}, ` +
+    `SignedHeaders=${names.join(';')}, Signature=${signature}`;
+  return sent;
+}
+
+// URL of an object: path-style on S3_ENDPOINT, virtual-hosted style on AWS
+function s3ObjectUrl(key) {
+  const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+  if (S3_ENDPOINT) {
+    return new URL(`${S3_ENDPOINT.replace(/\/+$/, '')}/${encodeRfc3986(S3_BUCKET)}/${encodedKey}`);
+  }
+  return new URL(`https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com/${encodedKey}`);
+}
+
+// Storage backends: put(key, buffer, { sha256, contentType, signal }) resolves with where the document went
+const STORAGE_BACKENDS = {
+  local: {
+    async put(key, buffer) {
+      const root = path.resolve(STORAGE_DIR);
+      const filepath = path.join(root, ...key.split('/'));
+      if (!filepath.startsWith(root + path.sep)) {
+        throw new Error(`Key ${key} is outside STORAGE_DIR`);
+      }
+      // Write to a temporary file first, so a crash never leaves half a PDF under the key
+      await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+      const tempPath = `${filepath}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filepath);
+      return { path: filepath };
+    }
+  },
+
+  s3: {
+    async put(key, buffer, { sha256, contentType, signal }) {
+      const url = s3ObjectUrl(key);
+      const headers = signS3Request('PUT', url, {
+        'content-type': contentType,
+        'x-amz-content-sha256': sha256,
+        // The service checks the upload against it and rejects a corrupted body
+        'x-amz-checksum-sha256': Buffer.from(sha256, 'hex').toString('base64')
+      });
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers,
+        body: buffer,
+        signal: AbortSignal.any([AbortSignal.timeout(STORAGE_TIMEOUT_MS), signal].filter(Boolean))
+      });
+      if (!response.ok) {
+        const code = (await response.text()).match(/<Code>([^<]+)<\/Code>/);
+        throw new Error(`S3 answered ${response.status}${code ? ` (${code[1]})` : ''}`);
+      }
+      return { bucket: S3_BUCKET, url: url.href, etag: response.headers.get('etag') };
+    }
+  }
+};
+
+// Check the storage settings; returns an error message or null
+function validateStorageConfig() {
+  if (STORAGE_BACKEND !== 'none' && !STORAGE_BACKENDS[STORAGE_BACKEND]) {
+    return `Unknown STORAGE_BACKEND: ${STORAGE_BACKEND}. Choose from: none, ${Object.keys(STORAGE_BACKENDS).join(', ')}`;
+  }
+  if (STORAGE_BACKEND === 's3' && (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY)) {
+    return 'The s3 storage backend needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY';
+  }
+  const templateError = STORAGE_PATH_TEMPLATE ? validateFilenameTemplate(STORAGE_PATH_TEMPLATE) : null;
+  return templateError ? `Invalid STORAGE_PATH_TEMPLATE: ${templateError.message}` : null;
+}
+
+// Store a downloaded PDF (or XML DTE, by its format); resolves with { backend, key,
+// checksumSha256, size, ... } plus the path (local) or bucket, url and etag (s3).
+// A failure is a STORAGE_FAILED error, since the caller was promised a stored copy
+async function storePdf({ buffer, filename, metadata, contentHash, format = 'pdf' }, url, signal) {
+  const { label, contentTypes } = DOCUMENT_FORMATS[format];
+  const folder = renderStorageFolder(STORAGE_PATH_TEMPLATE, filenameTemplateValues(buffer, url, metadata));
+  const key = folder ? `${folder}/${filename}` : filename;
+  try {
+    const location = await STORAGE_BACKENDS[STORAGE_BACKEND].put(key, buffer, {
+      sha256: contentHash,
+      contentType: contentTypes[0],
+      signal
+    });
+    logger.info(`${label} stored (${STORAGE_BACKEND}): ${key}`);
+    return { backend: STORAGE_BACKEND, key, checksumSha256: contentHash, size: buffer.length, ...location };
+  } catch (error) {
+    if (signal && signal.aborted) throw signal.reason;
+    throw new DownloadError('STORAGE_FAILED', `Could not store the ${label} as ${key}: ${error.message}`);
+  }
+}
+
+// Download history: one row per download, successful or not, for reconciliation.
+// Searchable metadata fields get their own columns; the full metadata is kept as JSON
+const HISTORY_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS downloads (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    status TEXT NOT NULL,
+    format TEXT NOT NULL DEFAULT 'pdf',
+    url TEXT NOT NULL,
+    filename TEXT,
+    content_hash TEXT,
+    strategy TEXT,
+    cached INTEGER NOT NULL DEFAULT 0,
+    attempts INTEGER,
+    duration_ms INTEGER NOT NULL,
+    error_code TEXT,
+    error_message TEXT,
+    document_type TEXT,
+    folio INTEGER,
+    fecha_emision TEXT,
+    emisor_rut TEXT,
+    receptor_rut TEXT,
+    total INTEGER,
+    metadata TEXT,
+    storage_key TEXT,
+    api_key_name TEXT,
+    request_id TEXT,
+    job_id TEXT
+  );
+  CREATE INDEX IF NOT EXISTS downloads_created_at ON downloads (created_at);
+  CREATE INDEX IF NOT EXISTS downloads_emisor_rut ON downloads (emisor_rut);
+  CREATE INDEX IF NOT EXISTS downloads_receptor_rut ON downloads (receptor_rut);
+  CREATE INDEX IF NOT EXISTS downloads_fecha_emision ON downloads (fecha_emision);
+`;
+const HISTORY_MAX_PAGE_SIZE = 500;
+
+let historyDb = null;
+let insertDownloadRecord = null;
+
+function openHistoryDb() {
+  if (HISTORY_DB_PATH !== ':memory:') {
+    fs.mkdirSync(path.dirname(HISTORY_DB_PATH), { recursive: true });
+  }
+  historyDb = new Database(HISTORY_DB_PATH);
+  historyDb.pragma('journal_mode = WAL');
+  historyDb.exec(HISTORY_SCHEMA);
+  // Databases created before XML downloads were recorded have no format column
+  if (!historyDb.prepare('PRAGMA table_info(downloads)').all().some(column => column.name === 'format')) {
+    historyDb.exec("ALTER TABLE downloads ADD COLUMN format TEXT NOT NULL DEFAULT 'pdf'");
+  }
+  insertDownloadRecord = historyDb.prepare(`
+    INSERT INTO downloads (
+      id, created_at, status, format, url, filename, content_hash, strategy, cached, attempts, duration_ms,
+      error_code, error_message, document_type, folio, fecha_emision, emisor_rut, receptor_rut, total,
+      metadata, storage_key, api_key_name, request_id, job_id
+    ) VALUES (
+      @id, @createdAt, @status, @format, @url, @filename, @contentHash, @strategy, @cached, @attempts, @durationMs,
+      @errorCode, @errorMessage, @documentType, @folio, @fechaEmision, @emisorRut, @receptorRut, @total,
+      @metadata, @storageKey, @apiKeyName, @requestId, @jobId
+    )
+  `);
+  logger.info(`Download history in ${HISTORY_DB_PATH}`);
+}
+
+// Record a finished download, from its result or its error; returns the record ID, or null
+// when the history is disabled or the write failed (which never fails the download itself)
+// format is the DOCUMENT_FORMATS key of the document downloaded
+function recordDownload({ url, options, startedAt, result = null, error = null, format = 'pdf' }) {
+  if (!insertDownloadRecord) return null;
+
+  const id = crypto.randomUUID();
+  const metadata = result ? result.metadata : null;
+  const context = logContext.getStore() || {};
+  try {
+    insertDownloadRecord.run({
+      id,
+      createdAt: new Date().toISOString(),
+      status: result ? 'success' : 'error',
+      format,
+      url,
+      filename: result ? result.filename : null,
+      contentHash: result ? result.contentHash : null,
+      strategy: result ? result.capturePath || (result.cached ? 'cache' : null) : null,
+      cached: result && result.cached ? 1 : 0,
+      attempts: result ? result.attempts : error.attempts || null,
+      durationMs: Date.now() - startedAt,
+      errorCode: error ? toDownloadError(error).code : null,
+      errorMessage: error ? error.message : null,
+      documentType: metadata ? metadata.documentType : null,
+      folio: metadata ? metadata.folio : null,
+      fechaEmision: metadata ? metadata.fechaEmision : null,
+      emisorRut: metadata ? metadata.emisorRut : null,
+      receptorRut: metadata ? metadata.receptorRut : null,
+      total: metadata ? metadata.total : null,
+      metadata: metadata ? JSON.stringify(metadata) : null,
+      storageKey: result && result.storage ? result.storage.key : null,
+      apiKeyName: options.apiKeyName || null,
+      requestId: context.requestId || null,
+      jobId: context.jobId || null
+    });
+    return id;
+  } catch (recordError) {
+    logger.error('Could not record the download in the history', { error: recordError });
+    return null;
+  }
+}
+
+function serializeDownloadRecord(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    status: row.status,
+    format: row.format,
+    url: row.url,
+    filename: row.filename,
+    contentHash: row.content_hash,
+    strategy: row.strategy,
+    cached: row.cached === 1,
+    attempts: row.attempts,
+    durationMs: row.duration_ms,
+    errorCode: row.error_code,
+    errorMessage: row.error_message,
+    metadata: row.metadata ? JSON.parse(row.metadata) : null,
+    storageKey: row.storage_key,
+    requestId: row.request_id,
+    jobId: row.job_id
+  };
+}
+
+// Turn the GET /downloads query into SQL conditions
+// Returns { where, params } or { error } with an error object ({ error, message, code, retryable })
+function buildDownloadsFilter(query, apiKey) {
+  const conditions = [];
+  const params = {};
+  const invalid = message => ({
+    error: { error: 'Invalid filter', message, code: 'INVALID_INPUT', retryable: false }
+  });
+
+  // Keys only see their own downloads, except admin keys
+  if (apiKey && !apiKey.admin) {
+    conditions.push('api_key_name = @apiKeyName');
+    params.apiKeyName = apiKey.name;
+  }
+
+  if (query.rut !== undefined) {
+    conditions.push('(emisor_rut = @rut OR receptor_rut = @rut)');
+    params.rut = String(query.rut).replace(/[.\s-]/g, '').toUpperCase();
+  }
+
+  if (query.status !== undefined) {
+    if (!['success', 'error'].includes(query.status)) {
+      return invalid('status must be success or error');
+    }
+    conditions.push('status = @status');
+    params.status = query.status;
+  }
+
+  if (query.format !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(DOCUMENT_FORMATS, query.format)) {
+      return invalid(`format must be one of: ${Object.keys(DOCUMENT_FORMATS).join(', ')}`);
+    }
+    conditions.push('format = @format');
+    params.format = query.format;
+  }
+
+  if (query.documentType !== undefined) {
+    conditions.push('document_type = @documentType');
+    params.documentType = String(query.documentType);
+  }
+
+  // from/to filter the download time; a plain date in `to` includes that whole day
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) continue;
+    const value = String(query[name]);
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      return invalid(`${name} must be an ISO 8601 date or date-time`);
+    }
+    const wholeDay = name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    params[name] = new Date(wholeDay ? time + 24 * 60 * 60 * 1000 : time).toISOString();
+    conditions.push(name === 'from' ? 'created_at >= @from' : 'created_at < @to');
+  }
+
+  // emittedFrom/emittedTo filter the fecha de emisión of the document, both inclusive
+  for (const name of ['emittedFrom', 'emittedTo']) {
+    if (query[name] === undefined) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[name])) {
+      return invalid(`${name} must be a date (YYYY-MM-DD)`);
+    }
+    conditions.push(name === 'emittedFrom' ? 'fecha_emision >= @emittedFrom' : 'fecha_emision <= @emittedTo');
+    params[name] = query[name];
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Fields a download needs when metadata is required
+const REQUIRED_METADATA_FIELDS = ['rut', 'fechaEmision'];
+
+function assertMetadataFound(metadata) {
+  const missing = REQUIRED_METADATA_FIELDS.filter(field => !metadata || !metadata[field]);
+  if (missing.length > 0) {
+    throw new DownloadError('METADATA_EXTRACTION_FAILED', `Could not read ${missing.join(' and ')} from the PDF`);
+  }
+}
+
+// Download a PDF, serving repeats of the same URL from the cache, and store it
+// Resolves with { buffer, filename, metadata, contentHash, cached, cachedAt, storage, downloadId }
+// (storage is null with STORAGE_BACKEND=none); downloadId is its download history record.
+// A cache hit with the same filename template as the capture it came from is not stored
+// again: it returns that stored copy and its filename. Another template stores a new copy
+// options.cache === false skips the cache lookup (the fresh result is still cached)
+// options.requireMetadata fails the download when REQUIRED_METADATA_FIELDS are missing
+// options.ted decodes the TED barcode into metadata.ted (see extractPdfTed), else it is null.
+// The decoded TED is not cached: every download that asks for it decodes it again
+async function downloadPdf(url, options = {}) {
+  const startedAt = Date.now();
+  try {
+    const { stored, ...result } = await downloadPdfThroughCache(url, options);
+    if (options.requireMetadata) {
+      assertMetadataFound(result.metadata);
+    }
+    if (options.ted) {
+      result.metadata = { ...result.metadata, ted: await extractPdfTed(result.buffer, result.metadata, options.signal) };
+    }
+    let storage = null;
+    const filenameTemplate = options.filenameTemplate || FILENAME_TEMPLATE;
+    if (STORAGE_BACKEND !== 'none' && stored && stored.filenameTemplate === filenameTemplate) {
+      ({ storage, filename: result.filename } = stored);
+      logger.info(`Cached PDF already stored (${storage.backend}): ${storage.key}`);
+    } else if (STORAGE_BACKEND !== 'none') {
+      storage = await storePdf(result, url, options.signal);
+      if (isCacheEnabled()) {
+        await rememberCachedStorage(url, result.contentHash, { storage, filename: result.filename, filenameTemplate });
+      }
+    }
+    downloadsTotal.inc({ outcome: result.cached ? 'cached' : 'success' });
+    const downloaded = { ...result, storage };
+    downloaded.downloadId = recordDownload({ url, options, startedAt, result: downloaded });
+    return downloaded;
+  } catch (error) {
+    downloadsTotal.inc({ outcome: error instanceof UrlPolicyError ? 'blocked' : 'error' });
+    error.downloadId = recordDownload({ url, options, startedAt, error });
+    throw error;
+  }
+}
+
+// Download the XML DTE of a document, store it like the PDF and record it in the download
+// history with format 'xml'. XML DTEs are not cached
+// Resolves with { buffer, filename, metadata, contentHash, attempts, storage, downloadId, ... }
+// (metadata is parseDteXml's, with the Detalle line items); options as for downloadPdf
+async function downloadXml(url, options = {}) {
+  const startedAt = Date.now();
+  try {
+    const result = await capturePdf(url, { ...options, format: 'xml' });
+    if (options.requireMetadata) {
+      assertMetadataFound(result.metadata);
+    }
+    const downloaded = { ...result, contentHash: crypto.createHash('sha256').update(result.buffer).digest('hex') };
+    downloaded.storage = STORAGE_BACKEND !== 'none' ? await storePdf(downloaded, url, options.signal) : null;
+    downloaded.downloadId = recordDownload({ url, options, startedAt, result: downloaded, format: 'xml' });
+    return downloaded;
+  } catch (error) {
+    error.downloadId = recordDownload({ url, options, startedAt, error, format: 'xml' });
+    throw error;
+  }
+}
+
+// Download what a request's `type` asks for (see DOCUMENT_TYPES), the PDF before the XML
+// Resolves with { pdf, xml, xmlError }, each document null when it wasn't asked for.
+// A failed PDF fails the download. With type=both, a failed XML doesn't: the PDF is already
+// stored and recorded, so the result keeps it, with xml null and the error in xmlError
+async function downloadDocuments(url, type, options = {}) {
+  const pdf = type !== 'xml' ? await downloadPdf(url, options) : null;
+  if (type === 'pdf') return { pdf, xml: null, xmlError: null };
+  if (type === 'xml') return { pdf, xml: await downloadXml(url, options), xmlError: null };
+  try {
+    return { pdf, xml: await downloadXml(url, options), xmlError: null };
+  } catch (error) {
+    logger.warn('PDF downloaded, but not its XML DTE', { error });
+    return { pdf, xml: null, xmlError: error };
+  }
+}
+
+// Documents a request's `type` counts against the daily quota
+function countTypeDocuments(type) {
+  return type === 'both' ? 2 : 1;
+}
+
+async function downloadPdfThroughCache(url, options) {
+  if (!isCacheEnabled()) {
+    const result = await capturePdf(url, options);
+    const contentHash = crypto.createHash('sha256').update(result.buffer).digest('hex');
+    return { ...result, contentHash, cached: false, cachedAt: null };
+  }
+
+  const urlKey = normalizeCacheUrl(url);
+
+  if (options.cache !== false) {
+    const hit = await readCachedPdf(url);
+    if (hit) {
+      logger.info(`Cache hit for ${url} (${hit.contentHash})`);
+      const filename = await generatePdfFilename(hit.buffer, url, hit.metadata, options.filenameTemplate);
+      return { ...hit, filename, attempts: 0, cached: true, cachedAt: new Date(hit.cachedAt).toISOString() };
+    }
+  }
+
+  // Another request is already capturing this URL: wait for it instead of opening a page.
+  // Not when this one asks for a capture of its own: a fresh one (cache=false), a diagnostics
+  // bundle, or other strategies or fast path settings than the shared capture may have used.
+  // Nor is an own capture offered to other requests, which would get the result of its settings
+  const ownCapture = options.cache === false || options.diagnostics === true ||
+    Boolean(options.strategies) || options.fastPath === false;
+  if (!ownCapture && cacheInFlight.has(urlKey)) {
+    logger.info(`Waiting for in-flight capture of ${url}`);
+    try {
+      const shared = await abortable(cacheInFlight.get(urlKey), options.signal);
+      const filename = await generatePdfFilename(shared.buffer, url, shared.metadata, options.filenameTemplate);
+      return { ...shared, filename, diagnosticsId: null, cached: false, cachedAt: null };
+    } catch (error) {
+      // The other request was cancelled, which says nothing about this one: capture it here
+      const cancelled = ['DEADLINE_EXCEEDED', 'CLIENT_DISCONNECTED'].includes(error.code);
+      if (!cancelled || (options.signal && options.signal.aborted)) throw error;
+      logger.info(`In-flight capture of ${url} was cancelled (${error.code}), capturing it again`);
+    }
+  }
+
+  const capture = (async () => {
+    const result = await capturePdf(url, options);
+    const contentHash = crypto.createHash('sha256').update(result.buffer).digest('hex');
+    await writeCachedPdf(url, result.buffer, result.metadata, contentHash);
+    return { ...result, contentHash };
+  })();
+  if (!ownCapture) cacheInFlight.set(urlKey, capture);
+
+  try {
+    const result = await capture;
+    return { ...result, cached: false, cachedAt: null };
+  } finally {
+    if (cacheInFlight.get(urlKey) === capture) {
+      cacheInFlight.delete(urlKey);
+    }
+  }
+}
+
+if (CACHE_BACKEND === 'disk') {
+  loadDiskCacheIndex();
+}
+
+// API keys: loaded from API_KEYS_FILE (JSON) or API_KEYS (JSON, or "name:key" pairs
+// separated by commas). Each key has a name, a requests-per-minute limit, a daily quota
+// of documents and an optional admin flag. Without keys, authentication is disabled
+const apiKeys = new Map(); // sha256(key) -> { name, keyPrefix, rateLimitPerMinute, dailyQuota, admin }
+const apiKeyUsage = new Map(); // key name -> usage counters
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function loadApiKeys() {
+  let source = null;
+  let raw = null;
+  if (process.env.API_KEYS_FILE) {
+    source = process.env.API_KEYS_FILE;
+    raw = fs.readFileSync(path.resolve(process.env.API_KEYS_FILE), 'utf8');
+  } else if (process.env.API_KEYS) {
+    source = 'API_KEYS';
+    raw = process.env.API_KEYS;
+  }
+  if (!raw) return;
+
+  let entries;
+  if (raw.trim().startsWith('[') || raw.trim().startsWith('{')) {
+    const parsed = JSON.parse(raw);
+    entries = Array.isArray(parsed) ? parsed : parsed.keys;
+  } else {
+    entries = raw.split(',').filter(Boolean).map(pair => {
+      const separator = pair.indexOf(':');
+      return { name: pair.substring(0, separator).trim(), key: pair.substring(separator + 1).trim() };
+    });
+  }
+
+  (entries || []).forEach(entry => {
+    if (!entry.key || !entry.name) {
+      throw new Error(`Every API key in ${source} needs a "name" and a "key"`);
+    }
+    apiKeys.set(hashApiKey(entry.key), {
+      name: entry.name,
+      keyPrefix: `${entry.key.substring(0, 4)}…`,
+      rateLimitPerMinute: entry.rateLimitPerMinute || API_RATE_LIMIT_PER_MINUTE,
+      dailyQuota: entry.dailyQuota || API_DAILY_QUOTA,
+      admin: entry.admin === true
+    });
+  });
+  logger.info(`Loaded ${apiKeys.size} API keys from ${source}`);
+}
+
+function getApiKeyUsage(name) {
+  if (!apiKeyUsage.has(name)) {
+    apiKeyUsage.set(name, {
+      totalRequests: 0,
+      totalDocuments: 0,
+      rateLimited: 0,
+      quotaExceeded: 0,
+      minuteWindowStart: 0,
+      minuteRequests: 0,
+      day: null,
+      dayDocuments: 0,
+      lastUsedAt: null
+    });
+  }
+  return apiKeyUsage.get(name);
+}
+
+// Middleware: require a valid API key (X-API-Key header, Authorization: Bearer or
+// ?api_key=) and attach it as req.apiKey
+function requireApiKey(req, res, next) {
+  if (apiKeys.size === 0) return next();
+
+  const authorization = req.get('Authorization') || '';
+  const key = req.get('X-API-Key') ||
+    (authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null) ||
+    req.query.api_key;
+
+  if (!key) {
+    return res.status(401).json({
+      error: 'Missing API key',
+      message: 'Send your API key in the X-API-Key header or the api_key query parameter',
+      code: 'MISSING_API_KEY'
+    });
+  }
+
+  const apiKey = apiKeys.get(hashApiKey(key));
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Invalid API key',
+      message: 'The API key is not valid',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+// Middleware: only admin keys
+function requireAdminKey(req, res, next) {
+  if (apiKeys.size === 0) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'API keys are not configured'
+    });
+  }
+  requireApiKey(req, res, () => {
+    if (!req.apiKey.admin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This endpoint requires an admin API key',
+        code: 'ADMIN_KEY_REQUIRED'
+      });
+    }
+    next();
+  });
+}
+
+// Apply the key's per-minute rate limit and daily document quota to a request that will
+// download `documents` documents, and charge it. Routes call it once the request passed
+// validation, so a rejected request costs nothing
+// Returns false when it answered 429 (the route must stop), else true
+function chargeApiKeyUsage(req, res, documents) {
+  if (!req.apiKey) return true;
+
+  const { name, rateLimitPerMinute, dailyQuota } = req.apiKey;
+  const usage = getApiKeyUsage(name);
+  const now = Date.now();
+
+  // Fixed one-minute window for the rate limit
+  if (now - usage.minuteWindowStart >= 60 * 1000) {
+    usage.minuteWindowStart = now;
+    usage.minuteRequests = 0;
+  }
+  // The daily quota resets at midnight UTC
+  const today = new Date(now).toISOString().substring(0, 10);
+  if (usage.day !== today) {
+    usage.day = today;
+    usage.dayDocuments = 0;
+  }
+
+  const resetSeconds = Math.ceil((usage.minuteWindowStart + 60 * 1000 - now) / 1000);
+
+  res.set({
+    'RateLimit-Limit': String(rateLimitPerMinute),
+    'RateLimit-Remaining': String(Math.max(rateLimitPerMinute - usage.minuteRequests - 1, 0)),
+    'RateLimit-Reset': String(resetSeconds),
+    'X-Quota-Limit': String(dailyQuota),
+    'X-Quota-Remaining': String(Math.max(dailyQuota - usage.dayDocuments - documents, 0))
+  });
+
+  if (usage.minuteRequests >= rateLimitPerMinute) {
+    usage.rateLimited++;
+    res.set({
+      'RateLimit-Remaining': '0',
+      'Retry-After': String(resetSeconds),
+      'X-Quota-Remaining': String(Math.max(dailyQuota - usage.dayDocuments, 0))
+    });
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: `This API key allows ${rateLimitPerMinute} requests per minute`,
+      code: 'RATE_LIMITED'
+    });
+    return false;
+  }
+
+  if (usage.dayDocuments + documents > dailyQuota) {
+    usage.quotaExceeded++;
+    const midnight = new Date(`${today}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+    res.set({
+      'X-Quota-Remaining': String(Math.max(dailyQuota - usage.dayDocuments, 0)),
+      'Retry-After': String(Math.ceil((midnight - now) / 1000))
+    });
+    res.status(429).json({
+      error: 'Daily quota exceeded',
+      message: `This API key allows ${dailyQuota} documents per day (${usage.dayDocuments} used)`,
+      code: 'QUOTA_EXCEEDED'
+    });
+    return false;
+  }
+
+  usage.minuteRequests++;
+  usage.totalRequests++;
+  usage.dayDocuments += documents;
+  usage.totalDocuments += documents;
+  usage.lastUsedAt = new Date(now).toISOString();
+  return true;
+}
+
+loadApiKeys();
+
+// Whether the client asked for raw PDF bytes instead of base64 JSON
+// (?format=binary or an Accept header that names application/pdf, or application/xml
+// when the XML DTE is asked for)
+function wantsBinaryPdf(req, contentType = 'application/pdf') {
+  if (req.query.format === 'binary') return true;
+  const accept = req.get('Accept') || '';
+  return accept.toLowerCase().includes(contentType);
+}
+
+// One overall deadline per download request, retries included. Its signal aborts with
+// DEADLINE_EXCEEDED after timeoutMs, or with CLIENT_DISCONNECTED when res (if given) closes
+// before the response was sent. Pass signal to downloadPdf() and call clear() when done
+function createRequestDeadline(timeoutMs, res = null) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new DownloadError('DEADLINE_EXCEEDED', `The download did not finish within ${timeoutMs}ms`));
+  }, timeoutMs);
+  const onClose = () => {
+    if (!res.writableFinished) {
+      controller.abort(new DownloadError('CLIENT_DISCONNECTED', 'The client closed the connection'));
+    }
+  };
+  if (res) res.on('close', onClose);
+
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      if (res) res.off('close', onClose);
+    }
+  };
+}
+
+// The capture strategy that produced a result and the trace of the attempts (null when cached)
+function describeCapture(result) {
+  return result.capturePath ? { strategy: result.capturePath, trace: result.trace } : null;
+}
+
+// The JSON fields of a downloaded PDF, shared by the download endpoints and jobs
+function describePdf(result) {
+  return {
+    downloadId: result.downloadId || undefined,
+    pdf: result.buffer.toString('base64'),
+    contentType: 'application/pdf',
+    filename: result.filename,
+    metadata: result.metadata,
+    contentHash: result.contentHash,
+    cached: result.cached,
+    cachedAt: result.cachedAt,
+    attempts: result.attempts,
+    storage: result.storage,
+    capture: describeCapture(result)
+  };
+}
+
+// The `xml` object of a downloaded XML DTE; the XML is base64 like the PDF, so its
+// ISO-8859-1 bytes (which its signature covers) arrive unchanged
+function describeXml(result) {
+  return {
+    downloadId: result.downloadId || undefined,
+    data: result.buffer.toString('base64'),
+    contentType: 'application/xml',
+    filename: result.filename,
+    metadata: result.metadata,
+    contentHash: result.contentHash,
+    attempts: result.attempts,
+    storage: result.storage,
+    capture: describeCapture(result)
+  };
+}
+
+// The JSON fields for what downloadDocuments() returned: the PDF fields, then `xml`, or
+// `xml: null` and the error JSON of the XML in `xmlError` when only the XML failed
+function describeDocuments({ pdf, xml, xmlError }) {
+  if (xmlError) {
+    return { ...describePdf(pdf), xml: null, xmlError: describeDownloadError(xmlError).body };
+  }
+  return { ...(pdf ? describePdf(pdf) : {}), xml: xml ? describeXml(xml) : undefined };
+}
+
+// Send a captured PDF as application/pdf bytes (or the XML DTE as contentType), with
+// metadata in headers
+// Content-Disposition for filename: an ASCII fallback in filename, and the exact name
+// percent-encoded in filename* (RFC 6266), so no character can make the header invalid
+function contentDisposition(filename) {
+  const fallback = stripAccents(filename).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+function sendPdfBinary(res, { buffer, filename, metadata, contentHash, cached, attempts, diagnosticsId, capturePath, storage, downloadId }, contentType = 'application/pdf') {
+  // Content-Type goes last: until it is set, a failure is still answered as JSON
+  res.set({
+    'Content-Length': buffer.length,
+    'Content-Disposition': contentDisposition(filename),
+    'X-Pdf-Filename': encodeURIComponent(filename),
+    'X-Pdf-Content-Hash': contentHash,
+    'X-Cache': cached ? 'HIT' : 'MISS',
+    'X-Capture-Attempts': attempts
+  });
+  if (metadata && metadata.rut) {
+    res.set('X-Pdf-Rut', metadata.rut);
+  }
+  if (metadata && metadata.fechaEmision) {
+    res.set('X-Pdf-Fecha-Emision', metadata.fechaEmision);
+  }
+  if (metadata && metadata.ted) {
+    res.set('X-Ted-Check', metadata.ted.crossCheck.status);
+  }
+  if (diagnosticsId) {
+    res.set('X-Diagnostics-Id', diagnosticsId);
+  }
+  if (capturePath) {
+    res.set('X-Capture-Strategy', capturePath);
+  }
+  if (storage) {
+    res.set('X-Storage-Key', storage.key);
+  }
+  if (downloadId) {
+    res.set('X-Download-Id', downloadId);
+  }
+  res.set('Content-Type', contentType);
+  return res.send(buffer);
+}
+
+// Idempotency-Key: a repeat of a request with the same key (per API key and endpoint) within
+// IDEMPOTENCY_TTL_MS gets the original response again instead of a second download. A repeat
+// that arrives while the original is still running waits for it. Only final responses are
+// kept: after a 5xx or 429 the key is released, so a repeat runs the request again.
+// Kept responses use at most IDEMPOTENCY_MAX_BYTES; past that the least recently used
+// ones are dropped, and their keys run the request again
+const idempotentRequests = new Map(); // scope -> { fingerprint, expiresAt, done, response, size }, oldest use first
+let idempotentBytes = 0;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+// Response headers that belong to the request, not to the result
+const IDEMPOTENCY_SKIPPED_HEADERS = /^(x-request-id|x-quota-|ratelimit-|retry-after|content-length|etag)/i;
+
+function forgetIdempotentRequest(scope) {
+  const entry = idempotentRequests.get(scope);
+  if (!entry) return;
+  idempotentRequests.delete(scope);
+  idempotentBytes -= entry.size || 0;
+}
+
+// Keep response for a replay, then drop least recently used responses over the limit
+function keepIdempotentResponse(scope, entry, response) {
+  const body = Buffer.isBuffer(response.body) ? response.body : String(response.body);
+  // The body, plus the headers and the key, which are kept too
+  const size = Buffer.byteLength(body) + Buffer.byteLength(JSON.stringify(response.headers)) + scope.length;
+  if (size > IDEMPOTENCY_MAX_BYTES) {
+    logger.info(`Response of ${size} bytes is too large to keep for Idempotency-Key replays`);
+    forgetIdempotentRequest(scope);
+    return;
+  }
+  entry.response = response;
+  entry.size = size;
+  idempotentBytes += size;
+  for (const [oldScope, oldEntry] of idempotentRequests) {
+    if (idempotentBytes <= IDEMPOTENCY_MAX_BYTES) break;
+    if (oldEntry.response && oldScope !== scope) forgetIdempotentRequest(oldScope);
+  }
+}
+
+function replayResponse(res, response) {
+  res.set(response.headers);
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(response.status).send(response.body);
+}
+
+// Middleware for the download endpoints; goes after requireApiKey (keys are per API key)
+// and before the route charges the key (chargeApiKeyUsage), so a replay costs no quota
+function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key',
+      message: 'Idempotency-Key must be 1 to 255 printable ASCII characters',
+      code: 'INVALID_IDEMPOTENCY_KEY',
+      retryable: false
+    });
+  }
+
+  const scope = [req.apiKey ? req.apiKey.name : '', req.method, req.path, key].join('\n');
+  const fingerprint = crypto.createHash('sha256')
+    .update(JSON.stringify([req.query, req.body || null, req.get('Accept') || null]))
+    .digest('hex');
+
+  const existing = idempotentRequests.get(scope);
+  if (existing && existing.expiresAt > Date.now()) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        error: 'Idempotency-Key reused',
+        message: 'This Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        retryable: false
+      });
+    }
+    logger.info(`Idempotency-Key ${key} repeated, ${existing.response ? 'replaying' : 'waiting for'} the original response`);
+    // Most recently used last, for the eviction order
+    idempotentRequests.delete(scope);
+    idempotentRequests.set(scope, existing);
+    return existing.done.then(response => replayResponse(res, response));
+  }
+
+  forgetIdempotentRequest(scope); // An expired entry
+  const entry = { fingerprint, expiresAt: Date.now() + IDEMPOTENCY_TTL_MS, done: null, response: null, size: 0 };
+  let settle;
+  entry.done = new Promise(resolve => {
+    settle = resolve;
+  });
+  idempotentRequests.set(scope, entry);
+
+  // Keep whatever the handler sends first (res.json goes through res.send too), even if the
+  // client has gone away by then: its retry is the one that will read it
+  const send = res.send;
+  res.send = function (body) {
+    res.send = send;
+    const headers = {};
+    Object.entries(res.getHeaders()).forEach(([name, value]) => {
+      if (!IDEMPOTENCY_SKIPPED_HEADERS.test(name)) headers[name] = value;
+    });
+    const response = { status: res.statusCode, headers, body };
+    // A request that outlived IDEMPOTENCY_TTL_MS may have had its key taken over meanwhile
+    if (idempotentRequests.get(scope) === entry) {
+      if (res.statusCode >= 500 || res.statusCode === 429) {
+        forgetIdempotentRequest(scope);
+      } else {
+        keepIdempotentResponse(scope, entry, response);
+      }
+    }
+    settle(response);
+    return send.call(this, body);
+  };
+  next();
+}
+
+// Drop idempotency keys once their window is over (running requests keep theirs)
+function purgeExpiredIdempotencyKeys() {
+  const now = Date.now();
+  for (const [scope, entry] of idempotentRequests) {
+    if (entry.response && entry.expiresAt <= now) {
+      forgetIdempotentRequest(scope);
+    }
+  }
+}
+
+setInterval(purgeExpiredIdempotencyKeys, Math.min(IDEMPOTENCY_TTL_MS, 60 * 1000)).unref();
+
+// A request with an Idempotency-Key keeps running when its client disconnects: the client's
+// retry will attach to it. Other requests are cancelled (see createRequestDeadline)
+function disconnectTarget(req, res) {
+  return req.get('Idempotency-Key') !== undefined ? null : res;
+}
+
+// GET endpoint to download PDF from ASP URL
+// Returns base64 JSON by default, or raw bytes with ?format=binary / Accept: application/pdf
+// ?type=xml returns the XML DTE instead, ?type=both the PDF with the XML DTE (JSON only)
+app.get('/download-pdf', requireApiKey, idempotent, async (req, res) => {
+  const { url, filenameTemplate, cache, fastPath, diagnostics, requireMetadata, ted, timeout, type = 'pdf' } = req.query;
+  const strategies = parseCaptureStrategies(req.query.strategies);
+
+  const validationError = validatePdfUrl(url) ||
+    (filenameTemplate !== undefined ? validateFilenameTemplate(filenameTemplate) : null) ||
+    (strategies ? validateCaptureStrategies(strategies) : null) ||
+    (timeout !== undefined ? validateDownloadTimeout(timeout) : null) ||
+    validateDocumentType(type);
+  if (validationError) {
+    return res.status(statusForCode(validationError.code)).json(validationError);
+  }
+
+  const binary = wantsBinaryPdf(req, type === 'xml' ? 'application/xml' : 'application/pdf');
+  if (binary && type === 'both') {
+    return res.status(400).json({
+      error: 'Invalid type',
+      message: 'type=both returns two documents, so it is only available as JSON',
+      code: 'INVALID_TYPE',
+      retryable: false
+    });
+  }
+  if (!chargeApiKeyUsage(req, res, countTypeDocuments(type))) return;
+
+  const deadline = createRequestDeadline(timeout !== undefined ? Number(timeout) : DOWNLOAD_TIMEOUT_MS, disconnectTarget(req, res));
+  try {
+    // A diagnostics bundle needs a fresh capture, so it bypasses the cache
+    const documents = await downloadDocuments(url, type, {
+      filenameTemplate,
+      cache: cache !== 'false' && diagnostics !== 'true',
+      fastPath: fastPath !== 'false',
+      strategies,
+      requireMetadata: requireMetadata !== undefined ? requireMetadata === 'true' : REQUIRE_METADATA,
+      ted: ted !== undefined ? ted === 'true' : TED_DEFAULT,
+      diagnostics: diagnostics === 'true',
+      apiKeyName: req.apiKey ? req.apiKey.name : null,
+      signal: deadline.signal
+    });
+    const result = documents.pdf || documents.xml;
+
+    if (binary) {
+      return sendPdfBinary(res, result, type === 'xml' ? 'application/xml' : 'application/pdf');
+    }
+
+    return res.json({
+      success: true,
+      ...describeDocuments(documents),
+      diagnosticsId: result.diagnosticsId || undefined
+    });
+  } catch (error) {
+    logger.error('Error downloading PDF', { error });
+    const { status, body } = describeDownloadError(error);
+    res.status(status).json(body);
+  } finally {
+    deadline.clear();
+  }
+});
+
+// Run async tasks over a list of items with at most `limit` running at once
+// Results keep the order of the input items
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// POST endpoint to download several PDFs in one call
+// Body: { urls: [ "https://..." | { id, url } ], concurrency?: number, filenameTemplate?: string, cache?: boolean, type?: string }
+app.post('/download-pdfs', requireApiKey, idempotent, async (req, res) => {
+  const { urls, concurrency, filenameTemplate, cache, requireMetadata, ted, timeout, type = 'pdf' } = req.body || {};
+  const strategies = parseCaptureStrategies(req.body && req.body.strategies);
+
+  if (filenameTemplate !== undefined) {
+    const templateError = validateFilenameTemplate(filenameTemplate);
+    if (templateError) {
+      return res.status(400).json(templateError);
     }
+  }
 
-    // Intercept requests to store request IDs for CDP access
-    page.on('request', (request) => {
-      const url = request.url();
-      const method = request.method();
-      const requestId = request._requestId;
-      
-      // Log POST requests (form submissions)
-      if (method === 'POST') {
-        console.log(`POST request detected: ${url.substring(0, 100)}...`);
-      }
-      
-      if (requestId) {
-        requestIdMap.set(url, requestId);
-      }
-    });
+  const strategiesError = strategies ? validateCaptureStrategies(strategies) : null;
+  if (strategiesError) {
+    return res.status(400).json(strategiesError);
+  }
 
-    // Intercept responses to catch PDF downloads
-    page.on('response', async (response) => {
-      if (pdfCaptured) return; // Already captured, skip
-      
-      const contentType = response.headers()['content-type'] || '';
-      const responseUrl = response.url();
-      const status = response.status();
-      
-      // Log all responses for debugging
-      console.log(`Response [${status}]: ${responseUrl.substring(0, 100)}..., Content-Type: ${contentType}`);
-      
-      // Check if content-type indicates PDF, or if URL suggests PDF
-      const isPdfContentType = contentType.includes('application/pdf');
-      const isPdfUrl = responseUrl.toLowerCase().includes('.pdf') || responseUrl.toLowerCase().includes('pdf');
-      
-      // Check responses that might be PDFs (by content-type or URL pattern)
-      if (isPdfContentType || isPdfUrl || status === 200) {
-        try {
-          // Try to get the buffer from the response
-          let buffer = await response.buffer().catch(async (err) => {
-            console.log(`Could not get buffer for ${responseUrl}: ${err.message}`);
-            
-            // If buffer() fails, try using CDP (Chrome DevTools Protocol)
-            if (isPdfContentType) {
-              try {
-                console.log(`Attempting to get PDF via CDP for ${responseUrl}`);
-                const client = await page.target().createCDPSession();
-                
-                // Try multiple ways to get the request ID
-                let requestId = response.request()._requestId || response._requestId;
-                
-                // If not found, try to get it from our map
-                if (!requestId) {
-                  requestId = requestIdMap.get(responseUrl);
-                }
-                
-                // If still not found, try to get it from the request object
-                if (!requestId) {
-                  const request = response.request();
-                  requestId = request._requestId || request._interceptionId;
-                }
-                
-                console.log(`CDP Request ID: ${requestId}`);
-                
-                if (requestId) {
-                  const { body, base64Encoded } = await client.send('Network.getResponseBody', {
-                    requestId: requestId
-                  });
-                  
-                  if (body) {
-                    console.log(`CDP success! Body length: ${body.length}, base64Encoded: ${base64Encoded}`);
-                    if (base64Encoded) {
-                      return Buffer.from(body, 'base64');
-                    } else {
-                      return Buffer.from(body, 'utf8');
-                    }
-                  } else {
-                    console.log('CDP returned empty body');
-                  }
-                } else {
-                  console.log('Could not find request ID for CDP');
-                }
-              } catch (cdpError) {
-                console.log(`CDP method failed: ${cdpError.message}`);
-              }
-            }
-            
-            return null;
-          });
-          
-          if (buffer && buffer.length > 0) {
-            // Verify it's actually a PDF by checking the magic bytes
-            // PDF files start with %PDF
-            const header = buffer.slice(0, 4).toString();
-            if (header === '%PDF') {
-              pdfBuffer = buffer;
-              pdfCaptured = true;
-              console.log(`✓ PDF buffer captured from ${responseUrl}: ${buffer.length} bytes`);
-            } else if (isPdfContentType) {
-              // Content-type says PDF but magic bytes don't match
-              console.log(`⚠ Response claims to be PDF but header is: ${header} (first 50 chars: ${buffer.slice(0, 50).toString()})`);
-            }
-          }
-        } catch (error) {
-          console.log(`Error processing response ${responseUrl}:`, error.message);
-          // If all methods fail, try to fetch the URL directly from page context
-          if (isPdfContentType) {
-            try {
-              console.log(`Attempting to fetch PDF via page.evaluate for ${responseUrl}`);
-              const fetchResponse = await page.evaluate(async (pdfUrl) => {
-                const response = await fetch(pdfUrl);
-                const arrayBuffer = await response.arrayBuffer();
-                return Array.from(new Uint8Array(arrayBuffer));
-              }, responseUrl);
-              
-              if (fetchResponse && fetchResponse.length > 0) {
-                const buffer = Buffer.from(fetchResponse);
-                // Verify it's actually a PDF
-                const header = buffer.slice(0, 4).toString();
-                if (header === '%PDF') {
-                  pdfBuffer = buffer;
-                  pdfCaptured = true;
-                  console.log(`✓ PDF buffer captured via fetch: ${pdfBuffer.length} bytes`);
-                }
-              }
-            } catch (fetchError) {
-              console.log('Fetch method also failed:', fetchError.message);
-            }
-          }
-        }
-      }
+  const timeoutError = timeout !== undefined ? validateDownloadTimeout(timeout) : null;
+  if (timeoutError) {
+    return res.status(400).json(timeoutError);
+  }
+
+  const typeError = validateDocumentType(type);
+  if (typeError) {
+    return res.status(400).json(typeError);
+  }
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required parameter: urls',
+      message: 'Please provide a non-empty array of URLs in the request body',
+      code: 'INVALID_INPUT',
+      retryable: false
     });
+  }
 
-    // Navigate to the URL
-    // First, load the page (it may contain a form that auto-submits)
-    console.log('Navigating to URL...');
-    const response = await page.goto(url, {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    }).catch(async (error) => {
-      console.log('Initial navigation error:', error.message);
-      return null;
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({
+      error: 'Too many URLs',
+      message: `A batch may contain at most ${BATCH_MAX_URLS} URLs`,
+      code: 'INVALID_INPUT',
+      retryable: false
     });
+  }
+  if (!chargeApiKeyUsage(req, res, urls.length * countTypeDocuments(type))) return;
 
-    console.log('Page loaded, waiting for form submission and PDF response...');
+  // Clients may lower the concurrency but never exceed the configured cap
+  let limit = BATCH_CONCURRENCY;
+  const requested = parseInt(concurrency, 10);
+  if (requested > 0) {
+    limit = Math.min(requested, BATCH_CONCURRENCY);
+  }
+
+  // Accept plain URL strings or { id, url } objects; default the ID to the array index
+  const items = urls.map((entry, index) => {
+    if (entry && typeof entry === 'object') {
+      return { id: entry.id !== undefined ? entry.id : index, url: entry.url };
+    }
+    return { id: index, url: entry };
+  });
+
+  logger.info(`Starting batch download of ${items.length} URLs (concurrency ${limit})`);
+
+  // The deadline covers the whole batch: items still running or waiting when it passes fail
+  const deadline = createRequestDeadline(timeout !== undefined ? Number(timeout) : DOWNLOAD_TIMEOUT_MS, disconnectTarget(req, res));
+  const results = await mapWithConcurrency(items, limit, ({ id, url }) => withLogContext({ batchItemId: id }, async () => {
+    const validationError = validatePdfUrl(url);
+    if (validationError) {
+      return { id, url, success: false, ...validationError };
+    }
 
-    // Wait for the form to submit and POST response
-    // The page has JavaScript that auto-submits a form via POST
     try {
-      // Wait for navigation after form submission (up to 30 seconds)
-      // This will catch the POST response
-      await page.waitForNavigation({ 
-        waitUntil: 'networkidle0', 
-        timeout: 30000 
+      const documents = await downloadDocuments(url, type, {
+        filenameTemplate,
+        cache: cache !== false,
+        strategies,
+        requireMetadata: requireMetadata !== undefined ? requireMetadata === true : REQUIRE_METADATA,
+        ted: ted !== undefined ? ted === true : TED_DEFAULT,
+        apiKeyName: req.apiKey ? req.apiKey.name : null,
+        signal: deadline.signal
       });
-      console.log('Navigation after form submission detected');
+      return { id, url, success: true, ...describeDocuments(documents) };
     } catch (error) {
-      console.log('Navigation wait timed out or form already submitted:', error.message);
+      logger.error(`Error downloading PDF in batch (id ${id})`, { error });
+      return {
+        id,
+        url,
+        success: false,
+        ...describeDownloadError(error).body
+      };
     }
+  }));
+  deadline.clear();
 
-    // Wait for PDF to be captured (POST response might take a moment)
-    // Check every 500ms for up to 40 seconds after navigation
-    console.log('Waiting for PDF response (POST)...');
-    for (let i = 0; i < 80 && !pdfCaptured; i++) {
-      await delay(500);
-      if (pdfBuffer && pdfBuffer.length > 0) {
-        pdfCaptured = true;
-        console.log('PDF captured in waiting loop');
-        break;
-      }
-    }
-    
-    // If still not captured, wait for network to be completely idle
-    // POST responses might still be loading
-    if (!pdfCaptured) {
-      console.log('PDF not captured yet, waiting for network idle (POST response)...');
-      try {
-        await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 20000 }).catch(() => {});
-        await delay(3000); // Give extra time for POST response body to be available
-      } catch (error) {
-        console.log('Network idle wait completed or timed out');
-      }
-      
-      // Check one more time after waiting
-      if (pdfBuffer && pdfBuffer.length > 0) {
-        pdfCaptured = true;
-        console.log('PDF found after network idle wait');
-      }
-    }
-    
-    // Final check - wait a bit more for CDP to finish processing
-    if (!pdfCaptured) {
-      console.log('Final wait for CDP to capture PDF...');
-      await delay(2000);
-      if (pdfBuffer && pdfBuffer.length > 0) {
-        pdfCaptured = true;
-        console.log('PDF found in final check');
-      }
-    }
+  const succeeded = results.filter(result => result.success).length;
+  res.json({
+    success: succeeded === results.length,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+});
 
-    // Check if we captured a PDF buffer from response interception
-    if (pdfBuffer && pdfBuffer.length > 0) {
-      const base64Pdf = pdfBuffer.toString('base64');
-      
-      // Generate filename for Google Apps Script
-      const filename = await generatePdfFilename(pdfBuffer, url);
-      
-      if (page) {
-        await page.close().catch(err => console.error('Error closing page:', err));
-      }
-      
-      return res.json({
-        success: true,
-        pdf: base64Pdf,
-        contentType: 'application/pdf',
-        filename: filename
+// Async jobs: POST /jobs enqueues a download and returns immediately,
+// GET /jobs/:id reports its status and the PDF once it's done
+const jobs = new Map(); // Map jobId -> job
+const jobQueue = []; // Job IDs waiting to run, in order
+let runningJobs = 0;
+
+// Start queued jobs while there is capacity
+function processJobQueue() {
+  while (runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobs.get(jobQueue.shift());
+    if (!job) continue;
+    runningJobs++;
+    withLogContext({ requestId: job.requestId, jobId: job.id }, () => runJob(job)).finally(() => {
+      runningJobs--;
+      processJobQueue();
+    });
+  }
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date();
+  logger.info(`Job ${job.id} started: ${job.url}`);
+
+  // A job has no client to disconnect, only its deadline, counted from when it starts
+  const deadline = createRequestDeadline(job.timeoutMs);
+  try {
+    const documents = await downloadDocuments(job.url, job.type, { ...job.options, signal: deadline.signal });
+    job.status = 'succeeded';
+    job.result = describeDocuments(documents);
+  } catch (error) {
+    logger.error(`Job ${job.id} failed`, { error });
+    job.status = 'failed';
+    job.result = describeDownloadError(error).body;
+  } finally {
+    deadline.clear();
+  }
+
+  job.finishedAt = new Date();
+  job.expiresAt = new Date(job.finishedAt.getTime() + JOB_RETENTION_MS);
+  logger.info(`Job ${job.id} ${job.status}`);
+
+  // Deliver in the background so the job slot is freed right away
+  if (job.callback) {
+    deliverJobWebhook(job).catch(error => {
+      logger.error(`Webhook delivery for job ${job.id} crashed`, { error });
+    });
+  }
+}
+
+// Sign a webhook body with the shared secret (hex HMAC-SHA256)
+function signWebhookPayload(body, timestamp) {
+  return crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+// POST the job result to its callbackUrl, retrying non-2xx responses
+// and network errors with exponential backoff
+async function deliverJobWebhook(job) {
+  const callback = job.callback;
+  const body = JSON.stringify({
+    jobId: job.id,
+    url: job.url,
+    success: job.status === 'succeeded',
+    ...job.result
+  });
+
+  callback.status = 'pending';
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    callback.attempts = attempt;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      // The host may resolve to another address than when the job was accepted: the address
+      // is checked again by fetchPublicUrl, on the connection that delivers the webhook
+      checkUrlPolicy(callback.url, { anyHost: true });
+      const response = await fetchPublicUrl(callback.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': job.id,
+          'X-Webhook-Attempt': String(attempt),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signWebhookPayload(body, timestamp)}`
+        },
+        body: body,
+        // A redirect could lead past the address check: it counts as a failed delivery
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
       });
-    }
 
-    // Try to get PDF from the response if it's a PDF
-    if (response && !pdfCaptured) {
-      const contentType = response.headers()['content-type'] || '';
-      
-      if (contentType.includes('application/pdf')) {
-        try {
-          // Try to get the buffer
-          const buffer = await response.buffer();
-          
-          // Verify it's actually a PDF by checking the magic bytes
-          if (buffer && buffer.length > 0) {
-            const header = buffer.slice(0, 4).toString();
-            if (header === '%PDF') {
-              const base64Pdf = buffer.toString('base64');
-              
-              // Generate filename for Google Apps Script
-              const filename = await generatePdfFilename(buffer, url);
-              
-              if (page) {
-                await page.close().catch(err => console.error('Error closing page:', err));
-              }
-              
-              return res.json({
-                success: true,
-                pdf: base64Pdf,
-                contentType: 'application/pdf',
-                filename: filename
-              });
-            } else {
-              console.log('Response claims to be PDF but header is:', header);
-            }
-          }
-        } catch (error) {
-          console.log('Error getting PDF from response:', error.message);
-        }
+      if (response.ok) {
+        callback.status = 'delivered';
+        callback.lastError = null;
+        callback.deliveredAt = new Date();
+        logger.info(`Webhook for job ${job.id} delivered on attempt ${attempt}`);
+        return;
       }
-    }
 
-    // Check current URL - if it's different, try to fetch it directly
-    const currentUrl = page.url();
-    console.log(`Final page URL: ${currentUrl}`);
-    console.log(`Original URL: ${url}`);
-    
-    // If the URL changed, try fetching directly using page.evaluate (browser fetch)
-    if (currentUrl !== url && !pdfCaptured) {
-      console.log('URL changed, attempting to fetch the new URL directly via browser fetch...');
-      try {
-        // First, try to get form data and submit it
-        const formData = await page.evaluate(() => {
-          const form = document.querySelector('form');
-          if (form) {
-            const data = {};
-            
-            // Get all form inputs (including hidden fields)
-            const inputs = form.querySelectorAll('input, textarea, select');
-            inputs.forEach(input => {
-              const name = input.name;
-              const type = input.type;
-              const value = input.value;
-              
-              if (name) {
-                // Handle checkboxes and radios
-                if (type === 'checkbox' || type === 'radio') {
-                  if (input.checked) {
-                    data[name] = value || 'on';
-                  }
-                } else {
-                  data[name] = value || '';
-                }
-              }
-            });
-            
-            return {
-              action: form.action || window.location.href,
-              method: (form.method || 'POST').toUpperCase(),
-              data: data
-            };
-          }
-          return null;
-        });
-        
-        if (formData) {
-          console.log(`Form found: ${formData.method} ${formData.action}, fields: ${Object.keys(formData.data).join(', ')}`);
-        }
-        
-        // Use page.evaluate to fetch from browser context (handles cookies/auth)
-        const fetchResponse = await page.evaluate(async (pdfUrl, formInfo) => {
-          try {
-            let response;
-            
-            // If we have form data, submit it as application/x-www-form-urlencoded
-            if (formInfo && formInfo.data) {
-              console.log('Submitting form with data:', Object.keys(formInfo.data));
-              
-              // Build URL-encoded form data string
-              const formBody = Object.keys(formInfo.data)
-                .map(key => encodeURIComponent(key) + '=' + encodeURIComponent(formInfo.data[key]))
-                .join('&');
-              
-              response = await fetch(formInfo.action || pdfUrl, {
-                method: formInfo.method || 'POST',
-                headers: {
-                  'Content-Type': 'application/x-www-form-urlencoded',
-                  'Accept': 'application/pdf,application/octet-stream,*/*'
-                },
-                body: formBody,
-                credentials: 'include'
-              });
-            } else {
-              // Try GET first
-              response = await fetch(pdfUrl, {
-                method: 'GET',
-                headers: {
-                  'Accept': 'application/pdf,application/octet-stream,*/*'
-                },
-                credentials: 'include'
-              });
-            }
-            
-            if (!response.ok) {
-              throw new Error(`HTTP ${response.status}`);
-            }
-            
-            const contentType = response.headers.get('content-type') || '';
-            console.log('Fetch response content-type:', contentType);
-            
-            const arrayBuffer = await response.arrayBuffer();
-            return {
-              data: Array.from(new Uint8Array(arrayBuffer)),
-              contentType: contentType
-            };
-          } catch (error) {
-            console.error('Fetch error in page context:', error);
-            return null;
-          }
-        }, currentUrl, formData);
-        
-        if (fetchResponse && fetchResponse.data && fetchResponse.data.length > 0) {
-          const buffer = Buffer.from(fetchResponse.data);
-          // Verify it's actually a PDF
-          const header = buffer.slice(0, 4).toString();
-          console.log(`Direct fetch buffer header: ${header}, size: ${buffer.length} bytes, content-type: ${fetchResponse.contentType}`);
-          
-          if (header === '%PDF' || fetchResponse.contentType.includes('application/pdf')) {
-            // Double check it's actually a PDF
-            if (header === '%PDF') {
-              const base64Pdf = buffer.toString('base64');
-              
-              // Generate filename for Google Apps Script
-              const filename = await generatePdfFilename(buffer, url);
-              
-              if (page) {
-                await page.close().catch(err => console.error('Error closing page:', err));
-              }
-              
-              return res.json({
-                success: true,
-                pdf: base64Pdf,
-                contentType: 'application/pdf',
-                filename: filename
-              });
-            } else {
-              console.log(`Content-type says PDF but header doesn't match: ${header}`);
-            }
-          } else {
-            console.log(`Direct fetch did not return PDF. Header: ${header}, Content-Type: ${fetchResponse.contentType}`);
-          }
-        }
-      } catch (error) {
-        console.log('Error fetching direct URL via browser fetch:', error.message);
-        
-        // Fallback: Try with a new page navigation
-        try {
-          console.log('Trying fallback: new page navigation...');
-          const newPage = await browser.newPage();
-          const directResponse = await newPage.goto(currentUrl, {
-            waitUntil: 'networkidle0',
-            timeout: 30000
-          });
-          
-          if (directResponse) {
-            const contentType = directResponse.headers()['content-type'] || '';
-            console.log(`Fallback fetch Content-Type: ${contentType}`);
-            
-            const buffer = await directResponse.buffer().catch(async (err) => {
-              // If buffer fails, try CDP
-              try {
-                const client = await newPage.target().createCDPSession();
-                const requestId = directResponse.request()._requestId;
-                if (requestId) {
-                  const { body, base64Encoded } = await client.send('Network.getResponseBody', {
-                    requestId: requestId
-                  });
-                  if (body) {
-                    return base64Encoded ? Buffer.from(body, 'base64') : Buffer.from(body, 'utf8');
-                  }
-                }
-              } catch (cdpErr) {
-                console.log('CDP fallback failed:', cdpErr.message);
-              }
-              return null;
-            });
-            
-            if (buffer && buffer.length > 0) {
-              const header = buffer.slice(0, 4).toString();
-              if (header === '%PDF') {
-                const base64Pdf = buffer.toString('base64');
-                const filename = await generatePdfFilename(buffer, url);
-                
-                await newPage.close().catch(() => {});
-                if (page) {
-                  await page.close().catch(err => console.error('Error closing page:', err));
-                }
-                
-                return res.json({
-                  success: true,
-                  pdf: base64Pdf,
-                  contentType: 'application/pdf',
-                  filename: filename
-                });
-              }
-            }
-          }
-          await newPage.close().catch(() => {});
-        } catch (fallbackError) {
-          console.log('Fallback navigation also failed:', fallbackError.message);
-        }
+      callback.lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      const policyError = error instanceof UrlPolicyError ? error : urlPolicyCause(error);
+      if (policyError && policyError.code !== 'HOST_RESOLUTION_FAILED') {
+        callback.status = 'failed';
+        callback.lastError = policyError.message;
+        logger.error(`Webhook for job ${job.id} not delivered: ${policyError.message}`);
+        return;
       }
+      callback.lastError = (policyError || error).message;
     }
 
-    // Last resort: If no PDF was found, return error
-    if (page) {
-      await page.close().catch(err => console.error('Error closing page:', err));
+    logger.info(`Webhook for job ${job.id} failed on attempt ${attempt}: ${callback.lastError}`);
+
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      // Unref'd, so a pending retry doesn't keep the process from exiting
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_BACKOFF_MS * Math.pow(2, attempt - 1)).unref());
     }
-    
-    throw new Error('No PDF found. The URL may not redirect to a PDF file, or the PDF download failed.');
+  }
 
-  } catch (error) {
-    // Close page on error
-    if (page) {
-      try {
-        await page.close();
-      } catch (closeError) {
-        console.error('Error closing page on error:', closeError);
-      }
+  callback.status = 'failed';
+  logger.error(`Webhook for job ${job.id} gave up after ${WEBHOOK_MAX_ATTEMPTS} attempts`);
+}
+
+// Public representation of a job for the API
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    url: job.url,
+    createdAt: job.createdAt.toISOString(),
+    startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+    finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+    expiresAt: job.expiresAt ? job.expiresAt.toISOString() : null,
+    callback: job.callback ? {
+      url: job.callback.url,
+      status: job.callback.status,
+      attempts: job.callback.attempts,
+      lastError: job.callback.lastError,
+      deliveredAt: job.callback.deliveredAt ? job.callback.deliveredAt.toISOString() : null
+    } : null,
+    ...(job.result || {})
+  };
+}
+
+// Drop finished jobs once their retention period is over
+function purgeExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt && job.expiresAt.getTime() <= now) {
+      jobs.delete(id);
     }
-    
-    console.error('Error downloading PDF:', error);
-    res.status(500).json({
-      error: 'Failed to download PDF',
-      message: error.message
+  }
+}
+
+setInterval(purgeExpiredJobs, Math.min(JOB_RETENTION_MS, 60 * 1000)).unref();
+
+// POST endpoint to enqueue an async PDF download
+// Body: { url, callbackUrl?, filenameTemplate?, cache?, type? }
+app.post('/jobs', requireApiKey, idempotent, async (req, res) => {
+  const { url, callbackUrl, filenameTemplate, cache, requireMetadata, ted, timeout, type = 'pdf' } = req.body || {};
+  const strategies = parseCaptureStrategies(req.body && req.body.strategies);
+
+  const validationError = validatePdfUrl(url) ||
+    (filenameTemplate !== undefined ? validateFilenameTemplate(filenameTemplate) : null) ||
+    (strategies ? validateCaptureStrategies(strategies) : null) ||
+    (timeout !== undefined ? validateDownloadTimeout(timeout) : null) ||
+    validateDocumentType(type);
+  if (validationError) {
+    return res.status(statusForCode(validationError.code)).json(validationError);
+  }
+
+  if (callbackUrl !== undefined) {
+    let parsedCallback = null;
+    try {
+      parsedCallback = new URL(callbackUrl);
+    } catch (error) {
+      // Handled below
+    }
+    if (!parsedCallback || !['http:', 'https:'].includes(parsedCallback.protocol)) {
+      return res.status(400).json({
+        error: 'Invalid callbackUrl',
+        message: 'Please provide a valid http(s) callbackUrl',
+        code: 'INVALID_INPUT',
+        retryable: false
+      });
+    }
+    if (!WEBHOOK_SECRET) {
+      return res.status(400).json({
+        error: 'Webhooks are not configured',
+        message: 'Set WEBHOOK_SECRET on the server to use callbackUrl',
+        code: 'INVALID_INPUT',
+        retryable: false
+      });
+    }
+    // Webhooks may go to any host, but not to private addresses (checked again on delivery)
+    try {
+      await assertUrlAllowed(callbackUrl, { anyHost: true });
+    } catch (error) {
+      return res.status(error.status).json({
+        error: 'Invalid callbackUrl',
+        message: error.message,
+        code: error.code,
+        retryable: false
+      });
+    }
+  }
+
+  if (jobQueue.length >= JOB_MAX_QUEUED) {
+    return res.status(503).json({
+      error: 'Job queue is full',
+      message: `There are already ${jobQueue.length} jobs waiting, please retry later`,
+      code: 'JOB_QUEUE_FULL',
+      retryable: true
+    });
+  }
+  if (!chargeApiKeyUsage(req, res, countTypeDocuments(type))) return;
+
+  const job = {
+    id: crypto.randomUUID(),
+    url: url,
+    apiKeyName: req.apiKey ? req.apiKey.name : null,
+    requestId: req.id,
+    timeoutMs: timeout !== undefined ? Number(timeout) : DOWNLOAD_TIMEOUT_MS,
+    type,
+    options: {
+      filenameTemplate,
+      cache: cache !== false,
+      strategies,
+      requireMetadata: requireMetadata !== undefined ? requireMetadata === true : REQUIRE_METADATA,
+      ted: ted !== undefined ? ted === true : TED_DEFAULT,
+      apiKeyName: req.apiKey ? req.apiKey.name : null
+    },
+    status: 'queued',
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    result: null,
+    callback: callbackUrl ? {
+      url: callbackUrl,
+      status: 'waiting',
+      attempts: 0,
+      lastError: null,
+      deliveredAt: null
+    } : null
+  };
+  jobs.set(job.id, job);
+  jobQueue.push(job.id);
+  processJobQueue();
+
+  res.status(202)
+    .location(`/jobs/${job.id}`)
+    .json({
+      ...serializeJob(job),
+      statusUrl: `/jobs/${job.id}`
+    });
+});
+
+// GET endpoint to poll an async job
+app.get('/jobs/:id', requireApiKey, (req, res) => {
+  purgeExpiredJobs();
+  const job = jobs.get(req.params.id);
+
+  // Jobs are only visible to the API key that created them
+  if (!job || (req.apiKey && job.apiKeyName !== req.apiKey.name)) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'The job does not exist or has expired'
+    });
+  }
+
+  res.json(serializeJob(job));
+});
+
+// GET endpoint to retrieve the diagnostics bundle of a capture
+app.get('/diagnostics/:id', requireApiKey, async (req, res) => {
+  const bundle = await readDiagnosticsBundle(req.params.id);
+
+  // Bundles are only visible to the API key whose request produced them
+  if (!bundle || (req.apiKey && bundle.apiKeyName !== req.apiKey.name)) {
+    return res.status(404).json({
+      error: 'Diagnostics not found',
+      message: 'The diagnostics bundle does not exist or has expired'
+    });
+  }
+
+  res.json(bundle);
+});
+
+// Download history, newest first. Filters: rut (emisor or receptor), status, documentType,
+// from/to (download time), emittedFrom/emittedTo (fecha de emisión); paginated with limit/offset
+app.get('/downloads', requireApiKey, (req, res) => {
+  if (!historyDb) {
+    return res.status(404).json({
+      error: 'Download history disabled',
+      message: 'History is disabled on this server (HISTORY_ENABLED=false)'
+    });
+  }
+
+  const filter = buildDownloadsFilter(req.query, req.apiKey);
+  if (filter.error) {
+    return res.status(400).json(filter.error);
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+  if (!(limit >= 1 && limit <= HISTORY_MAX_PAGE_SIZE) || !(offset >= 0)) {
+    return res.status(400).json({
+      error: 'Invalid pagination',
+      message: `limit must be between 1 and ${HISTORY_MAX_PAGE_SIZE}, offset 0 or more`,
+      code: 'INVALID_INPUT',
+      retryable: false
+    });
+  }
+
+  const { total } = historyDb.prepare(`SELECT COUNT(*) AS total FROM downloads ${filter.where}`).get(filter.params);
+  const rows = historyDb
+    .prepare(`SELECT * FROM downloads ${filter.where} ORDER BY created_at DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...filter.params, limit, offset });
+
+  res.json({
+    total,
+    limit,
+    offset,
+    downloads: rows.map(serializeDownloadRecord)
+  });
+});
+
+app.get('/downloads/:id', requireApiKey, (req, res) => {
+  const row = historyDb ? historyDb.prepare('SELECT * FROM downloads WHERE id = ?').get(req.params.id) : null;
+
+  // Records are only visible to the API key that made the download, and to admin keys
+  if (!row || (req.apiKey && !req.apiKey.admin && row.api_key_name !== req.apiKey.name)) {
+    return res.status(404).json({
+      error: 'Download not found',
+      message: 'No download with this ID was recorded'
     });
   }
+
+  res.json(serializeDownloadRecord(row));
+});
+
+// Admin endpoint with the usage counters of every API key
+app.get('/admin/usage', requireAdminKey, (req, res) => {
+  const keys = [...apiKeys.values()].map(apiKey => {
+    const usage = getApiKeyUsage(apiKey.name);
+    const today = new Date().toISOString().substring(0, 10);
+    const currentMinute = Date.now() - usage.minuteWindowStart < 60 * 1000 ? usage.minuteRequests : 0;
+    return {
+      name: apiKey.name,
+      keyPrefix: apiKey.keyPrefix,
+      admin: apiKey.admin,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute,
+      dailyQuota: apiKey.dailyQuota,
+      requestsThisMinute: currentMinute,
+      documentsToday: usage.day === today ? usage.dayDocuments : 0,
+      totalRequests: usage.totalRequests,
+      totalDocuments: usage.totalDocuments,
+      rateLimited: usage.rateLimited,
+      quotaExceeded: usage.quotaExceeded,
+      lastUsedAt: usage.lastUsedAt
+    };
+  });
+  res.json({ keys });
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    browser: {
+      connected: Boolean(browserInstance && browserInstance.isConnected()),
+      openPages: pageSlotsInUse,
+      waitingRequests: pageWaiters.length,
+      pagesServed: browserPagesServed,
+      memoryMb: getBrowserMemoryMb()
+    }
+  });
+});
+
+// Prometheus metrics endpoint. Open like /health, even with API keys: scrapers are set up
+// with a URL rather than a key, and the metrics hold only counts and timings, no URLs,
+// documents or keys. Deployments keep it off the public network (see the README)
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
 // Root endpoint
@@ -923,13 +4688,58 @@ app.get('/', (req, res) => {
     message: 'PDF Downloader API',
     endpoints: {
       'GET /download-pdf?url=<ASP_URL>': 'Download PDF from ASP URL and return as base64',
-      'GET /health': 'Health check endpoint'
+      'GET /download-pdf?url=<ASP_URL>&format=binary': 'Download PDF from ASP URL and return the raw application/pdf bytes',
+      'GET /download-pdf?url=<ASP_URL>&type=xml|both': 'Download the XML DTE instead of the PDF, or both, with its parsed metadata and line items',
+      'POST /download-pdfs': 'Download several PDFs at once; body: { urls: [url | { id, url }], concurrency? }',
+      'POST /jobs': 'Enqueue an async PDF download; body: { url, callbackUrl?, filenameTemplate? }',
+      'GET /jobs/:id': 'Poll an async job for its status and result',
+      'GET /diagnostics/:id': 'Page HTML, screenshot and network responses of a capture',
+      'GET /downloads': 'Download history; query: rut?, status?, documentType?, from?, to?, emittedFrom?, emittedTo?, limit?, offset?',
+      'GET /downloads/:id': 'One download history record',
+      'GET /admin/usage': 'Per-key usage counters (admin API key required)',
+      'GET /health': 'Health check endpoint',
+      'GET /metrics': 'Prometheus metrics'
     }
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
+// Fail fast on a misconfigured filename template
+const filenameTemplateError = validateFilenameTemplate(FILENAME_TEMPLATE) ||
+  validateFilenameTemplate(FILENAME_FALLBACK_TEMPLATE);
+if (filenameTemplateError) {
+  logger.error(`${filenameTemplateError.error}: ${filenameTemplateError.message}`);
+  process.exit(1);
+}
+
+// ...and on an unknown capture strategy
+const captureStrategiesError = validateCaptureStrategies(CAPTURE_STRATEGY_ORDER);
+if (captureStrategiesError) {
+  logger.error(`${captureStrategiesError.error}: ${captureStrategiesError.message}`);
+  process.exit(1);
+}
+
+// ...and on unusable storage settings
+const storageConfigError = validateStorageConfig();
+if (storageConfigError) {
+  logger.error(storageConfigError);
+  process.exit(1);
+}
+
+if (HISTORY_ENABLED) {
+  try {
+    openHistoryDb();
+  } catch (error) {
+    logger.error(`Could not open the download history at ${HISTORY_DB_PATH}`, { error });
+    process.exit(1);
+  }
+}
+
+// Start server (the tests require this file and listen on their own port)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`Server is running on port ${PORT}`);
+  });
+}
+
+module.exports = { app, closeBrowser, extractPdfMetadata, extractPdfTed, parseDteXml, isPrivateAddress, checkUrlPolicy };
 
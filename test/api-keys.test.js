@@ -0,0 +1,176 @@
+// API key tests: authentication, the per-key rate limit and daily quota, and the admin
+// usage endpoint, with keys configured through API_KEYS and the fake Nubox server.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The server reads its configuration when it is loaded
+process.env.ALLOWED_HOSTS = '127.0.0.1';
+process.env.ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.CACHE_BACKEND = 'none';
+process.env.DIAGNOSTICS_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STORAGE_BACKEND = 'none';
+process.env.HISTORY_DB_PATH = ':memory:';
+process.env.BATCH_MAX_URLS = '5';
+// One key per test, so their counters don't mix
+process.env.API_KEYS = JSON.stringify({
+  keys: [
+    { name: 'auth', key: 'auth-key' },
+    { name: 'rate', key: 'rate-key', rateLimitPerMinute: 2 },
+    { name: 'quota', key: 'quota-key', dailyQuota: 3 },
+    { name: 'invalid', key: 'invalid-key', rateLimitPerMinute: 2, dailyQuota: 2 },
+    { name: 'jobs', key: 'jobs-key' },
+    { name: 'ops', key: 'ops-key', admin: true }
+  ]
+});
+delete process.env.API_KEYS_FILE;
+
+const { createFakeNubox } = require('../fake-nubox/server');
+const { app, closeBrowser } = require('../server');
+
+const fakeNubox = createFakeNubox();
+let nuboxUrl;
+let apiServer;
+let apiUrl;
+
+before(async () => {
+  nuboxUrl = await fakeNubox.listen();
+  await new Promise(resolve => {
+    apiServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+  await closeBrowser();
+  await new Promise(resolve => apiServer.close(resolve));
+  await fakeNubox.close();
+});
+
+async function request(path, { key, method = 'GET', body, headers = {} } = {}) {
+  const response = await fetch(`${apiUrl}${path}`, {
+    method,
+    headers: {
+      ...(key ? { 'X-API-Key': key } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+function downloadPdf(key, query = {}) {
+  const params = new URLSearchParams({ url: `${nuboxUrl}/direct.pdf`, ...query });
+  return request(`/download-pdf?${params}`, { key });
+}
+
+// The /admin/usage counters of a key
+async function usageOf(name) {
+  const { body } = await request('/admin/usage', { key: 'ops-key' });
+  return body.keys.find(key => key.name === name);
+}
+
+describe('API keys', () => {
+  test('rejects a missing or unknown key, and accepts it in any of its places', async () => {
+    const missing = await downloadPdf(null);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'MISSING_API_KEY');
+
+    const unknown = await downloadPdf('not-a-key');
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.code, 'INVALID_API_KEY');
+
+    const params = new URLSearchParams({ url: `${nuboxUrl}/direct.pdf` });
+    const header = await request(`/download-pdf?${params}`, { key: 'auth-key' });
+    const bearer = await request(`/download-pdf?${params}`, { headers: { Authorization: 'Bearer auth-key' } });
+    const query = await request(`/download-pdf?${params}&api_key=auth-key`);
+    assert.deepEqual([header.status, bearer.status, query.status], [200, 200, 200]);
+    assert.equal((await usageOf('auth')).totalRequests, 3);
+  });
+
+  test('leaves /, /health and /metrics open', async () => {
+    for (const path of ['/', '/health', '/metrics']) {
+      assert.equal((await fetch(`${apiUrl}${path}`)).status, 200, path);
+    }
+  });
+
+  test('reports the rate limit and quota, and answers 429 RATE_LIMITED over the limit', async () => {
+    const first = await downloadPdf('rate-key');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.ok(Number(first.headers.get('ratelimit-reset')) > 0);
+    assert.equal(first.headers.get('x-quota-limit'), '1000');
+    assert.equal(first.headers.get('x-quota-remaining'), '999');
+
+    await downloadPdf('rate-key');
+    const limited = await downloadPdf('rate-key');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await usageOf('rate')).rateLimited, 1);
+  });
+
+  test('counts type=both as two documents and answers 429 QUOTA_EXCEEDED over the quota', async () => {
+    const both = await downloadPdf('quota-key', { type: 'both' });
+    assert.equal(both.headers.get('x-quota-remaining'), '1');
+
+    const batch = await request('/download-pdfs', {
+      key: 'quota-key',
+      method: 'POST',
+      body: { urls: [`${nuboxUrl}/direct.pdf`, `${nuboxUrl}/direct.pdf`] }
+    });
+    assert.equal(batch.status, 429);
+    assert.equal(batch.body.code, 'QUOTA_EXCEEDED');
+    assert.equal(batch.headers.get('x-quota-remaining'), '1');
+    assert.ok(Number(batch.headers.get('retry-after')) > 0);
+
+    assert.equal((await downloadPdf('quota-key')).status, 200, 'the last document of the quota');
+    const usage = await usageOf('quota');
+    assert.equal(usage.documentsToday, 3);
+    assert.equal(usage.quotaExceeded, 1);
+  });
+
+  test('does not charge requests that fail validation', async () => {
+    const invalid = [
+      downloadPdf('invalid-key', { url: 'not a url' }),
+      downloadPdf('invalid-key', { type: 'pdf,xml' }),
+      request('/download-pdfs', {
+        key: 'invalid-key',
+        method: 'POST',
+        body: { urls: new Array(6).fill(`${nuboxUrl}/direct.pdf`) }
+      }),
+      request('/jobs', { key: 'invalid-key', method: 'POST', body: { url: `${nuboxUrl}/direct.pdf`, type: 'html' } })
+    ];
+    for (const { status } of await Promise.all(invalid)) {
+      assert.equal(status, 400);
+    }
+
+    const usage = await usageOf('invalid');
+    assert.equal(usage.totalRequests, 0);
+    assert.equal(usage.documentsToday, 0);
+    assert.equal((await downloadPdf('invalid-key', { type: 'both' })).status, 200, 'the whole limit and quota are left');
+  });
+
+  test('shows a job only to the key that created it', async () => {
+    const { status, body } = await request('/jobs', { key: 'jobs-key', method: 'POST', body: { url: `${nuboxUrl}/direct.pdf` } });
+    assert.equal(status, 202);
+
+    assert.equal((await request(`/jobs/${body.jobId}`, { key: 'jobs-key' })).status, 200);
+    assert.equal((await request(`/jobs/${body.jobId}`, { key: 'auth-key' })).status, 404);
+  });
+
+  test('lets only admin keys read the usage of every key', async () => {
+    const forbidden = await request('/admin/usage', { key: 'auth-key' });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.code, 'ADMIN_KEY_REQUIRED');
+
+    const { status, body } = await request('/admin/usage', { key: 'ops-key' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.keys.map(key => key.name), ['auth', 'rate', 'quota', 'invalid', 'jobs', 'ops']);
+    assert.ok(body.keys.every(key => !JSON.stringify(key).includes('-key"')), 'no key is shown whole');
+  });
+});
@@ -0,0 +1,164 @@
+// Cache tests: the API runs with the memory cache against the fake Nubox server, and every
+// assertion about a cache hit also checks that Nubox was not asked for the PDF again.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its configuration when it is loaded
+const CACHE_TTL_MS = 2000;
+process.env.ALLOWED_HOSTS = '127.0.0.1';
+process.env.ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.CACHE_BACKEND = 'memory';
+process.env.CACHE_TTL_MS = String(CACHE_TTL_MS);
+process.env.DIAGNOSTICS_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nubox-storage-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_DIR = storageDir;
+process.env.HISTORY_DB_PATH = ':memory:';
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_FILE;
+
+const { createFakeNubox } = require('../fake-nubox/server');
+const { buildDtePdf } = require('../fake-nubox/dte-pdf');
+const { app, closeBrowser } = require('../server');
+
+const fixturePdf = buildDtePdf();
+const fakeNubox = createFakeNubox({ pdf: fixturePdf, slowMs: 1000 });
+let nuboxUrl;
+let apiServer;
+let apiUrl;
+
+before(async () => {
+  nuboxUrl = await fakeNubox.listen();
+  await new Promise(resolve => {
+    apiServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+  await closeBrowser();
+  await new Promise(resolve => apiServer.close(resolve));
+  await fakeNubox.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+// Each test downloads its own URL (the scenario with a query string Nubox ignores), so
+// entries cached by one test don't turn up in another
+async function downloadPdf(scenario, id, query = {}) {
+  const params = new URLSearchParams({ url: `${nuboxUrl}/${scenario}?test=${id}`, ...query });
+  const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+  const body = await response.json();
+  assert.equal(response.status, 200, JSON.stringify(body));
+  assert.ok(Buffer.from(body.pdf, 'base64').equals(fixturePdf), 'the PDF bytes are the ones Nubox served');
+  return body;
+}
+
+// Number of PDF responses fake Nubox has served for a scenario
+const pdfRequests = scenario => fakeNubox.requests.filter(({ path }) => path === `/${scenario}/descarga.asp`).length;
+
+describe('PDF cache', () => {
+  test('serves a repeated URL from the cache', async () => {
+    const first = await downloadPdf('pdf', 'hit');
+    const servedBefore = pdfRequests('pdf');
+    const repeat = await downloadPdf('pdf', 'hit');
+
+    assert.equal(first.cached, false);
+    assert.equal(repeat.cached, true);
+    assert.ok(repeat.cachedAt);
+    assert.equal(repeat.contentHash, first.contentHash);
+    assert.equal(repeat.metadata.folio, 12345);
+    assert.equal(repeat.capture, null);
+    assert.equal(pdfRequests('pdf'), servedBefore, 'Nubox was not asked again');
+  });
+
+  test('shares the cache between spellings of the same URL', async () => {
+    await downloadPdf('pdf', 'spelling&a=1&b=2');
+    const servedBefore = pdfRequests('pdf');
+    const params = new URLSearchParams({ url: `${nuboxUrl}/pdf?b=2&test=spelling&a=1#page=2` });
+    const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+    const repeat = await response.json();
+
+    assert.equal(repeat.cached, true);
+    assert.equal(pdfRequests('pdf'), servedBefore);
+  });
+
+  test('returns the stored copy of a cache hit, or stores one under the filename asked for', async () => {
+    const first = await downloadPdf('pdf', 'stored');
+    const repeat = await downloadPdf('pdf', 'stored');
+    const renamed = await downloadPdf('pdf', 'stored', { filenameTemplate: 'copia-{folio}' });
+
+    assert.equal(repeat.cached, true);
+    assert.equal(repeat.filename, first.filename);
+    assert.deepEqual(repeat.storage, first.storage);
+
+    assert.equal(renamed.cached, true);
+    assert.equal(renamed.filename, 'copia-12345.pdf');
+    assert.equal(path.basename(renamed.storage.key), 'copia-12345.pdf');
+    for (const { filename, storage } of [first, renamed]) {
+      assert.equal(path.basename(storage.path), filename);
+      assert.ok(fs.readFileSync(storage.path).equals(fixturePdf), `${storage.key} holds the PDF`);
+    }
+  });
+
+  test('captures again with cache=false, and caches the fresh PDF', async () => {
+    await downloadPdf('pdf', 'bypass');
+    const servedBefore = pdfRequests('pdf');
+    const fresh = await downloadPdf('pdf', 'bypass', { cache: 'false' });
+    const repeat = await downloadPdf('pdf', 'bypass');
+
+    assert.equal(fresh.cached, false);
+    assert.equal(fresh.capture.strategy, 'fast_path');
+    assert.equal(repeat.cached, true);
+    assert.equal(pdfRequests('pdf'), servedBefore + 1);
+  });
+
+  test('shares one capture between concurrent requests for the same URL', async () => {
+    const servedBefore = pdfRequests('slow');
+    const [first, second] = await Promise.all([
+      downloadPdf('slow', 'in-flight'),
+      new Promise(resolve => setTimeout(resolve, 200)).then(() => downloadPdf('slow', 'in-flight'))
+    ]);
+
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, false);
+    assert.equal(second.contentHash, first.contentHash);
+    assert.equal(pdfRequests('slow'), servedBefore + 1, 'only one capture reached Nubox');
+  });
+
+  test('does not share a capture with its own strategies', async () => {
+    const servedBefore = pdfRequests('slow');
+    const [restricted, plain] = await Promise.all([
+      downloadPdf('slow', 'own-strategies', { strategies: 'initial_response' }),
+      new Promise(resolve => setTimeout(resolve, 200)).then(() => downloadPdf('slow', 'own-strategies'))
+    ]);
+
+    assert.equal(restricted.cached, false);
+    assert.equal(plain.cached, false);
+    assert.equal(pdfRequests('slow'), servedBefore + 2, 'each request captured the PDF');
+  });
+
+  test('does not share a capture without the fast path', async () => {
+    const params = new URLSearchParams({ url: `${nuboxUrl}/slow?test=own-fast-path`, fastPath: 'false' });
+    const [, plain] = await Promise.all([
+      fetch(`${apiUrl}/download-pdf?${params}`).then(response => response.json()),
+      new Promise(resolve => setTimeout(resolve, 100)).then(() => downloadPdf('slow', 'own-fast-path'))
+    ]);
+
+    assert.equal(plain.capture.strategy, 'fast_path');
+  });
+
+  test('captures again once CACHE_TTL_MS has passed', async () => {
+    await downloadPdf('pdf', 'expiry');
+    const servedBefore = pdfRequests('pdf');
+    await new Promise(resolve => setTimeout(resolve, CACHE_TTL_MS + 100));
+    const repeat = await downloadPdf('pdf', 'expiry');
+
+    assert.equal(repeat.cached, false);
+    assert.equal(pdfRequests('pdf'), servedBefore + 1);
+  });
+});
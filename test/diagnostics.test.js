@@ -0,0 +1,155 @@
+// Diagnostics tests: the API runs with DIAGNOSTICS_ENABLED and DIAGNOSTICS_ON_SUCCESS on a
+// DIAGNOSTICS_DIR of its own, with a short DIAGNOSTICS_RETENTION_MS, against the fake Nubox
+// server. Captures that need the browser are skipped, with the reason, without one.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its configuration when it is loaded
+const DIAGNOSTICS_RETENTION_MS = 4000;
+const diagnosticsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nubox-diagnostics-'));
+process.env.ALLOWED_HOSTS = '127.0.0.1';
+process.env.ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.CACHE_BACKEND = 'none';
+process.env.DIAGNOSTICS_ENABLED = 'true';
+process.env.DIAGNOSTICS_ON_SUCCESS = 'true';
+process.env.DIAGNOSTICS_DIR = diagnosticsDir;
+process.env.DIAGNOSTICS_RETENTION_MS = String(DIAGNOSTICS_RETENTION_MS);
+process.env.DOWNLOAD_MAX_ATTEMPTS = '1';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STORAGE_BACKEND = 'none';
+process.env.HISTORY_DB_PATH = ':memory:';
+process.env.API_KEYS = 'owner:owner-key,other:other-key';
+delete process.env.API_KEYS_FILE;
+
+const puppeteer = require('puppeteer');
+const { createFakeNubox } = require('../fake-nubox/server');
+const { app, closeBrowser } = require('../server');
+
+// Captures that end without a PDF go through every browser wait, so they are slow
+const BROWSER_TEST_TIMEOUT_MS = 180000;
+
+const fakeNubox = createFakeNubox();
+let nuboxUrl;
+let apiServer;
+let apiUrl;
+let browserUnavailable = null; // Reason the browser tests are skipped
+
+before(async () => {
+  nuboxUrl = await fakeNubox.listen();
+  await new Promise(resolve => {
+    apiServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+
+  try {
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    await browser.close();
+  } catch (error) {
+    browserUnavailable = `Chromium could not be launched: ${error.message.split('\n')[0]}`;
+  }
+});
+
+after(async () => {
+  await closeBrowser();
+  await new Promise(resolve => apiServer.close(resolve));
+  await fakeNubox.close();
+  fs.rmSync(diagnosticsDir, { recursive: true, force: true });
+});
+
+async function downloadPdf(urlPath, query = {}) {
+  const params = new URLSearchParams({ url: `${nuboxUrl}${urlPath}`, ...query });
+  const response = await fetch(`${apiUrl}/download-pdf?${params}`, { headers: { 'X-API-Key': 'owner-key' } });
+  return { status: response.status, body: await response.json() };
+}
+
+async function getBundle(id, key = 'owner-key') {
+  const response = await fetch(`${apiUrl}/diagnostics/${id}`, { headers: { 'X-API-Key': key } });
+  return { status: response.status, body: await response.json() };
+}
+
+// The files of a bundle in DIAGNOSTICS_DIR
+const bundleFiles = id => fs.readdirSync(path.join(diagnosticsDir, id)).sort();
+
+describe('diagnostics bundles', () => {
+  test('saves the Nubox error page met by the fast path', async () => {
+    const { status, body } = await downloadPdf('/expired');
+    assert.equal(status, 410, JSON.stringify(body));
+    assert.match(body.diagnosticsId, /^[0-9a-f-]{36}$/);
+
+    assert.deepEqual(bundleFiles(body.diagnosticsId), ['bundle.json', 'page.html']);
+    const bundle = await getBundle(body.diagnosticsId);
+    assert.equal(bundle.status, 200);
+    assert.equal(bundle.body.outcome, 'failure');
+    assert.equal(bundle.body.apiKeyName, 'owner');
+    assert.equal(bundle.body.url, `${nuboxUrl}/expired`);
+    assert.match(bundle.body.finalUrl, /\/expired\/documento\.asp/);
+    assert.equal(bundle.body.error.code, 'UPSTREAM_EXPIRED');
+    assert.match(bundle.body.html, /El enlace de descarga ha expirado/);
+    assert.equal(bundle.body.screenshot, null);
+  });
+
+  test('shows a bundle only to the key whose request produced it', async () => {
+    const { body } = await downloadPdf('/not-found');
+
+    assert.equal((await getBundle(body.diagnosticsId, 'other-key')).status, 404);
+    assert.equal((await getBundle(body.diagnosticsId)).status, 200);
+    assert.equal((await getBundle('not-a-bundle-id')).status, 404);
+  });
+
+  test('saves the page, its screenshot and responses when the browser finds no PDF', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const { status, body } = await downloadPdf('/html-as-pdf');
+    assert.notEqual(status, 200);
+    assert.ok(body.diagnosticsId, JSON.stringify(body));
+
+    assert.deepEqual(bundleFiles(body.diagnosticsId), ['bundle.json', 'page.html', 'screenshot.png']);
+    const { body: bundle } = await getBundle(body.diagnosticsId);
+    assert.equal(bundle.outcome, 'failure');
+    assert.equal(bundle.error.code, body.code);
+    assert.match(bundle.html, /No fue posible generar el documento/);
+    assert.ok(Buffer.from(bundle.screenshot, 'base64').subarray(1, 4).equals(Buffer.from('PNG')));
+    assert.ok(bundle.responses.some(response => /descarga\.asp/.test(response.url)), 'the PDF response is listed');
+  });
+
+  test('saves a bundle for a successful browser capture with DIAGNOSTICS_ON_SUCCESS', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const { status, body } = await downloadPdf('/pdf', { fastPath: 'false' });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(body.diagnosticsId);
+
+    const { body: bundle } = await getBundle(body.diagnosticsId);
+    assert.equal(bundle.outcome, 'success');
+    assert.equal(bundle.error, null);
+    assert.ok(bundleFiles(body.diagnosticsId).includes('screenshot.png'));
+  });
+
+  test('has no bundle for a PDF found by the fast path', async () => {
+    const { status, body } = await downloadPdf('/direct.pdf');
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.capture.strategy, 'fast_path');
+    assert.equal(body.diagnosticsId, undefined);
+  });
+
+  test('deletes bundles older than DIAGNOSTICS_RETENTION_MS', async () => {
+    const stale = path.join(diagnosticsDir, '00000000-0000-4000-8000-000000000001');
+    const fresh = path.join(diagnosticsDir, '00000000-0000-4000-8000-000000000002');
+    for (const dir of [stale, fresh]) {
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'bundle.json'), '{}');
+    }
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(stale, hourAgo, hourAgo);
+
+    // The purge runs every DIAGNOSTICS_RETENTION_MS here
+    for (let waited = 0; fs.existsSync(stale) && waited < DIAGNOSTICS_RETENTION_MS * 2; waited += 100) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(fs.existsSync(stale), false, 'the old bundle was deleted');
+    assert.equal(fs.existsSync(fresh), true, 'the new one was kept');
+  });
+});
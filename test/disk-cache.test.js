@@ -0,0 +1,98 @@
+// Disk cache tests: the API runs with CACHE_BACKEND=disk on a CACHE_DIR that a "previous
+// run" left behind, and against the fake Nubox server.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its configuration when it is loaded
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nubox-cache-'));
+process.env.ALLOWED_HOSTS = '127.0.0.1';
+process.env.ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.CACHE_BACKEND = 'disk';
+process.env.CACHE_DIR = cacheDir;
+process.env.DIAGNOSTICS_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STORAGE_BACKEND = 'none';
+process.env.HISTORY_DB_PATH = ':memory:';
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_FILE;
+
+const { createFakeNubox } = require('../fake-nubox/server');
+const { buildDtePdf } = require('../fake-nubox/dte-pdf');
+
+const fixturePdf = buildDtePdf();
+const fixtureHash = crypto.createHash('sha256').update(fixturePdf).digest('hex');
+const fakeNubox = createFakeNubox({ pdf: fixturePdf });
+let nuboxUrl;
+let apiServer;
+let apiUrl;
+let closeBrowser;
+
+before(async () => {
+  nuboxUrl = await fakeNubox.listen();
+
+  // What a previous run cached for /pdf, with metadata only that run could have read
+  const now = Date.now();
+  fs.writeFileSync(path.join(cacheDir, `${fixtureHash}.pdf`), fixturePdf);
+  fs.writeFileSync(path.join(cacheDir, 'index.json'), JSON.stringify({
+    urls: [[`${nuboxUrl}/pdf`, {
+      contentHash: fixtureHash,
+      metadata: { rut: '11111111', fechaEmision: '2025-01-01' },
+      cachedAt: now,
+      expiresAt: now + 60 * 1000
+    }]],
+    contents: [[fixtureHash, { size: fixturePdf.length, lastAccess: now }]]
+  }));
+
+  // Loaded only now, so it reads the index above
+  const server = require('../server');
+  closeBrowser = server.closeBrowser;
+  await new Promise(resolve => {
+    apiServer = server.app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+  await closeBrowser();
+  await new Promise(resolve => apiServer.close(resolve));
+  await fakeNubox.close();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+async function downloadPdf(urlPath) {
+  const params = new URLSearchParams({ url: `${nuboxUrl}${urlPath}` });
+  const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+  const body = await response.json();
+  assert.equal(response.status, 200, JSON.stringify(body));
+  assert.ok(Buffer.from(body.pdf, 'base64').equals(fixturePdf), 'the PDF bytes are the ones Nubox served');
+  return body;
+}
+
+describe('disk PDF cache', () => {
+  test('serves the PDFs cached by a previous run', async () => {
+    const { cached, contentHash, metadata } = await downloadPdf('/pdf');
+
+    assert.equal(cached, true);
+    assert.equal(contentHash, fixtureHash);
+    assert.equal(metadata.rut, '11111111', 'the metadata comes from the saved index');
+    assert.equal(fakeNubox.requests.length, 0, 'Nubox was not asked');
+  });
+
+  test('writes a captured PDF once and adds its URL to the index', async () => {
+    const first = await downloadPdf('/octet-stream');
+    const repeat = await downloadPdf('/octet-stream');
+
+    assert.equal(first.cached, false);
+    assert.equal(repeat.cached, true);
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), [`${fixtureHash}.pdf`, 'index.json'], 'the same bytes are stored once');
+    const index = JSON.parse(fs.readFileSync(path.join(cacheDir, 'index.json'), 'utf8'));
+    const urls = new Map(index.urls);
+    assert.equal(urls.get(`${nuboxUrl}/octet-stream`).contentHash, fixtureHash);
+    assert.ok(urls.has(`${nuboxUrl}/pdf`));
+  });
+});
@@ -0,0 +1,895 @@
+// End-to-end tests: the API runs against the fake Nubox server (fake-nubox/server.js),
+// fully offline. Browser tests use Puppeteer's headless Chromium and are skipped, with
+// the reason, when it can't be launched on this machine.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its configuration when it is loaded
+process.env.ALLOWED_HOSTS = '127.0.0.1';
+process.env.ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.CACHE_BACKEND = 'none';
+process.env.DIAGNOSTICS_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.DOWNLOAD_MAX_ATTEMPTS = '2';
+process.env.DOWNLOAD_RETRY_BACKOFF_MS = '100';
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nubox-storage-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_DIR = storageDir;
+process.env.STORAGE_PATH_TEMPLATE = '{emisorRut}/{year}/{month}/';
+process.env.HISTORY_DB_PATH = ':memory:';
+// Room for two fixture PDF responses (about 130 KB each as base64 JSON)
+process.env.IDEMPOTENCY_MAX_BYTES = String(300 * 1024);
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_FILE;
+
+const puppeteer = require('puppeteer');
+const { createFakeNubox } = require('../fake-nubox/server');
+const { DEFAULT_DTE, buildDtePdf } = require('../fake-nubox/dte-pdf');
+const { buildDteXml } = require('../fake-nubox/dte-xml');
+const { buildTed } = require('../fake-nubox/ted');
+const { app, closeBrowser, extractPdfMetadata, extractPdfTed, parseDteXml } = require('../server');
+
+// Captures that end without a PDF go through every browser wait, so they are slow
+const BROWSER_TEST_TIMEOUT_MS = 180000;
+
+const fixturePdf = buildDtePdf();
+const fixtureXml = buildDteXml();
+const fakeNubox = createFakeNubox({ pdf: fixturePdf, xml: fixtureXml, slowMs: 1500 });
+let nuboxUrl;
+let apiServer;
+let apiUrl;
+let browserUnavailable = null; // Reason the browser tests are skipped
+
+before(async () => {
+  nuboxUrl = await fakeNubox.listen();
+  await new Promise(resolve => {
+    apiServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+
+  try {
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    await browser.close();
+  } catch (error) {
+    browserUnavailable = `Chromium could not be launched: ${error.message.split('\n')[0]}`;
+  }
+});
+
+after(async () => {
+  await closeBrowser();
+  await new Promise(resolve => apiServer.close(resolve));
+  await fakeNubox.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function downloadPdf(path, query = {}, headers = {}) {
+  const params = new URLSearchParams({ url: `${nuboxUrl}${path}`, ...query });
+  const response = await fetch(`${apiUrl}/download-pdf?${params}`, { headers });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function postJson(path, body, headers = {}) {
+  const response = await fetch(`${apiUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Poll a job until it has finished
+async function waitForJob(jobId) {
+  for (let i = 0; i < 300; i++) {
+    const job = await (await fetch(`${apiUrl}/jobs/${jobId}`)).json();
+    if (['succeeded', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${jobId} was still running`);
+}
+
+function assertFixtureDownload({ status, body }) {
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.success, true);
+  assert.equal(body.contentType, 'application/pdf');
+  assert.ok(Buffer.from(body.pdf, 'base64').equals(fixturePdf), 'the PDF bytes are the ones Nubox served');
+  assert.equal(body.metadata.rut, '48359566');
+  assert.equal(body.metadata.fechaEmision, '2025-12-15');
+  assert.equal(body.metadata.ted, null, 'the TED is only decoded with ted=true');
+  assert.match(body.filename, /^48359566-2025-12-15-.+\.pdf$/);
+}
+
+// A download the fast path gave up on: captured by the browser, or, without one, failed
+// after the fast path tried
+function assertFellBackToBrowser({ status, body }) {
+  if (browserUnavailable) {
+    assert.equal(status, 503, JSON.stringify(body));
+    assert.equal(body.code, 'BROWSER_LAUNCH_FAILED');
+    assert.deepEqual(body.capture.trace.map(({ strategy, outcome }) => ({ strategy, outcome })), [
+      { strategy: 'fast_path', outcome: 'no_pdf' }
+    ]);
+  } else {
+    assert.notEqual(body.capture.strategy, 'fast_path');
+  }
+}
+
+function assertFixtureXml(xml) {
+  assert.equal(xml.contentType, 'application/xml');
+  assert.ok(Buffer.from(xml.data, 'base64').equals(fixtureXml), 'the XML bytes are the ones Nubox served');
+  assert.equal(xml.metadata.rut, '48359566');
+  assert.equal(xml.metadata.folio, 12345);
+  assert.equal(xml.metadata.detalle.length, 2);
+  assert.match(xml.filename, /^48359566-2025-12-15-.+\.xml$/);
+}
+
+describe('metadata extraction', () => {
+  test('reads the DTE fields of a Nubox factura', async () => {
+    const metadata = await extractPdfMetadata(fixturePdf);
+
+    assert.equal(metadata.documentType, 'factura');
+    assert.equal(metadata.tipoDte, 33);
+    assert.equal(metadata.folio, 12345);
+    assert.equal(metadata.fechaEmision, '2025-12-15');
+    assert.equal(metadata.emisorRut, '76543212K');
+    assert.equal(metadata.emisorRazonSocial, 'COMERCIAL LOS ANDES SPA');
+    assert.equal(metadata.receptorRut, '48359566');
+    assert.equal(metadata.receptorRazonSocial, 'JUAN PEREZ GONZALEZ');
+    assert.equal(metadata.neto, 100000);
+    assert.equal(metadata.iva, 19000);
+    assert.equal(metadata.exento, 0);
+    assert.equal(metadata.total, 119000);
+  });
+
+  test('skips RUTs with a wrong check digit', async () => {
+    const metadata = await extractPdfMetadata(buildDtePdf({ receptorRut: '4.835.956-7' }));
+
+    assert.equal(metadata.receptorRut, null);
+    assert.ok(metadata.rutCandidates.some(candidate => candidate.rut === '48359567' && !candidate.valid));
+  });
+
+  test('returns empty metadata for a file that is not a PDF', async () => {
+    const metadata = await extractPdfMetadata(Buffer.from('<html>not a pdf</html>'));
+
+    assert.equal(metadata.rut, null);
+    assert.equal(metadata.fechaEmision, null);
+  });
+
+  test('reads the same fields and the line items from the XML DTE', async () => {
+    const fromXml = parseDteXml(fixtureXml);
+    const fromPdf = await extractPdfMetadata(fixturePdf);
+
+    ['rut', 'fechaEmision', 'documentType', 'tipoDte', 'folio', 'emisorRut', 'emisorRazonSocial',
+      'receptorRut', 'receptorRazonSocial', 'neto', 'iva', 'exento', 'total'].forEach(field => {
+      assert.equal(fromXml[field], fromPdf[field], field);
+    });
+    assert.equal(fromXml.emisorRutSource, 'xml');
+    assert.deepEqual(fromXml.detalle.map(({ linea, nombre, cantidad, precio, monto }) => ({ linea, nombre, cantidad, precio, monto })), [
+      { linea: 1, nombre: 'Asesoría contable', cantidad: 1, precio: 80000, monto: 80000 },
+      { linea: 2, nombre: 'Emisión de boletas', cantidad: 4, precio: 5000, monto: 20000 }
+    ]);
+    assert.equal(fromXml.detalle[0].descripcion, 'Servicio mensual diciembre');
+  });
+
+  test('reads an XML DTE with a namespace prefix and skips RUTs with a wrong check digit', () => {
+    const xml = buildDteXml({ receptorRut: '4.835.956-7' }).toString('latin1')
+      .replace(/<(\/?)(?!\?)/g, '<$1sii:')
+      .replace('xmlns=', 'xmlns:sii=');
+    const metadata = parseDteXml(Buffer.from(xml, 'latin1'));
+
+    assert.equal(metadata.folio, 12345);
+    assert.equal(metadata.emisorRut, '76543212K');
+    assert.equal(metadata.receptorRut, null);
+    assert.ok(metadata.rutCandidates.some(candidate => candidate.rut === '48359567' && !candidate.valid));
+    assert.equal(metadata.detalle.length, 2);
+  });
+});
+
+describe('Timbre Electrónico (TED)', () => {
+  test('decodes the PDF417 barcode and matches it with the text of the PDF', async () => {
+    const ted = await extractPdfTed(fixturePdf, await extractPdfMetadata(fixturePdf));
+
+    assert.equal(ted.emisorRut, '76543212K');
+    assert.equal(ted.tipoDte, 33);
+    assert.equal(ted.folio, 12345);
+    assert.equal(ted.fechaEmision, '2025-12-15');
+    assert.equal(ted.receptorRut, '48359566');
+    assert.equal(ted.total, 119000);
+    assert.equal(ted.primerItem, 'Asesoría contable');
+    assert.equal(ted.signature.valid, true);
+    assert.deepEqual(ted.crossCheck, { status: 'match', mismatches: [], unchecked: [] });
+  });
+
+  test('flags a PDF whose text does not match its TED', async () => {
+    const pdf = buildDtePdf({ total: '219.000', ted: buildTed(DEFAULT_DTE) });
+    const ted = await extractPdfTed(pdf, await extractPdfMetadata(pdf));
+
+    assert.equal(ted.signature.valid, true);
+    assert.equal(ted.crossCheck.status, 'mismatch');
+    assert.deepEqual(ted.crossCheck.mismatches, [{ field: 'total', ted: 119000, metadata: 219000 }]);
+  });
+
+  test('flags a TED edited after it was signed', async () => {
+    const forged = buildTed(DEFAULT_DTE).replace('<MNT>119000</MNT>', '<MNT>219000</MNT>');
+    const pdf = buildDtePdf({ total: '219.000', ted: forged });
+    const ted = await extractPdfTed(pdf, await extractPdfMetadata(pdf));
+
+    assert.equal(ted.total, 219000);
+    assert.equal(ted.signature.valid, false);
+    assert.equal(ted.crossCheck.status, 'mismatch');
+    assert.deepEqual(ted.crossCheck.mismatches, []);
+  });
+
+  test('returns null for a PDF without a barcode', async () => {
+    const pdf = buildDtePdf({ ted: null });
+
+    assert.equal(await extractPdfTed(pdf, await extractPdfMetadata(pdf)), null);
+  });
+
+  test('runs one decode at a time, and gives up waiting when the download is cancelled', async () => {
+    const metadata = await extractPdfMetadata(fixturePdf);
+    const events = [];
+    const first = extractPdfTed(fixturePdf, metadata).then(ted => events.push('first decoded') && ted);
+    const cancelled = new AbortController();
+    const second = extractPdfTed(fixturePdf, metadata, cancelled.signal).catch(error => {
+      events.push('second cancelled');
+      return error;
+    });
+    const third = extractPdfTed(fixturePdf, metadata).then(ted => events.push('third decoded') && ted);
+
+    const reason = new Error('client went away');
+    cancelled.abort(reason);
+    assert.equal(await second, reason);
+    const [firstTed, thirdTed] = await Promise.all([first, third]);
+
+    assert.deepEqual(events, ['second cancelled', 'first decoded', 'third decoded']);
+    assert.equal(firstTed.folio, 12345);
+    assert.equal(thirdTed.folio, 12345, 'the cancelled decode gave its place in line to the next one');
+  });
+
+  test('does not start a decode for a download that is already cancelled', async () => {
+    const cancelled = new AbortController();
+    cancelled.abort(new Error('deadline passed'));
+
+    await assert.rejects(extractPdfTed(fixturePdf, {}, cancelled.signal), /deadline passed/);
+  });
+
+  test('reads the TED of the XML DTE', () => {
+    const { ted } = parseDteXml(fixtureXml);
+
+    assert.equal(ted.folio, 12345);
+    assert.equal(ted.signature.valid, true);
+    assert.equal(ted.crossCheck.status, 'match');
+  });
+});
+
+describe('/download-pdf without a browser (fast path)', () => {
+  test('follows the redirects and the auto-submitted form to an application/pdf response', async () => {
+    const result = await downloadPdf('/pdf');
+
+    assertFixtureDownload(result);
+    assert.equal(result.body.capture.strategy, 'fast_path');
+    assert.equal(result.body.attempts, 1);
+  });
+
+  test('stores the PDF under the configured folder layout', async () => {
+    const { body } = await downloadPdf('/pdf');
+
+    assert.equal(body.storage.backend, 'local');
+    assert.equal(body.storage.key, `76543212K/2025/12/${body.filename}`);
+    assert.equal(body.storage.checksumSha256, crypto.createHash('sha256').update(fixturePdf).digest('hex'));
+    assert.ok(fs.readFileSync(path.join(storageDir, '76543212K', '2025', '12', body.filename)).equals(fixturePdf));
+  });
+
+  test('accepts a PDF sent as application/octet-stream', async () => {
+    const result = await downloadPdf('/octet-stream');
+
+    assertFixtureDownload(result);
+    assert.equal(result.body.capture.strategy, 'fast_path');
+  });
+
+  test('downloads a direct PDF link', async () => {
+    const result = await downloadPdf('/direct.pdf');
+
+    assertFixtureDownload(result);
+    assert.equal(result.body.capture.strategy, 'fast_path');
+  });
+
+  test('waits for a slow response', async () => {
+    const result = await downloadPdf('/slow');
+
+    assertFixtureDownload(result);
+  });
+
+  test('fails with DEADLINE_EXCEEDED when the request timeout passes', async () => {
+    const startedAt = Date.now();
+    const { status, body } = await downloadPdf('/slow', { timeout: '1000' });
+
+    assert.equal(status, 504);
+    assert.equal(body.code, 'DEADLINE_EXCEEDED');
+    assert.equal(body.retryable, true);
+    assert.ok(Date.now() - startedAt < 1500, 'the slow response is not waited for');
+  });
+
+  test('rejects a timeout out of range', async () => {
+    const { status, body } = await downloadPdf('/pdf', { timeout: '50' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_TIMEOUT');
+  });
+
+  test('decodes the TED of the PDF with ted=true', async () => {
+    const { status, body } = await downloadPdf('/pdf', { ted: 'true' });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.metadata.ted.folio, 12345);
+    assert.equal(body.metadata.ted.signature.valid, true);
+    assert.equal(body.metadata.ted.crossCheck.status, 'match');
+  });
+
+  test('reports the TED cross-check of a raw PDF in X-Ted-Check', async () => {
+    const params = new URLSearchParams({ url: `${nuboxUrl}/pdf`, format: 'binary', ted: 'true' });
+    const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-ted-check'), 'match');
+    assert.ok(Buffer.from(await response.arrayBuffer()).equals(fixturePdf));
+  });
+
+  test('returns the raw PDF with format=binary', async () => {
+    const params = new URLSearchParams({ url: `${nuboxUrl}/pdf`, format: 'binary' });
+    const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.equal(response.headers.get('x-pdf-rut'), '48359566');
+    assert.equal(response.headers.get('x-ted-check'), null, 'the TED is only decoded with ted=true');
+    assert.equal(response.headers.get('x-capture-strategy'), 'fast_path');
+    assert.ok(Buffer.from(await response.arrayBuffer()).equals(fixturePdf));
+  });
+
+  test('encodes the filename of the raw PDF for the headers', async () => {
+    const params = new URLSearchParams({ url: `${nuboxUrl}/pdf`, format: 'binary', filenameTemplate: 'factura {folio} (copia)' });
+    const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+    const filename = decodeURIComponent(response.headers.get('x-pdf-filename'));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.equal(filename, 'factura 12345 (copia).pdf');
+    assert.equal(response.headers.get('content-disposition'),
+      'attachment; filename="factura 12345 (copia).pdf"; filename*=UTF-8\'\'factura%2012345%20%28copia%29.pdf');
+  });
+
+  test('folds the literal text of a filename template to ASCII', async () => {
+    const params = new URLSearchParams({ url: `${nuboxUrl}/pdf`, format: 'binary', filenameTemplate: 'Factura Nº {folio} – €' });
+    const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-pdf-filename'), 'Factura%20No%2012345.pdf');
+    assert.match(response.headers.get('content-disposition'), /^attachment; filename="Factura No 12345\.pdf";/);
+  });
+
+  test('rejects hosts that are not allowed', async () => {
+    const params = new URLSearchParams({ url: 'https://example.com/documento.asp' });
+    const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+    const body = await response.json();
+
+    assert.equal(response.status, 403);
+    assert.equal(body.code, 'HOST_NOT_ALLOWED');
+    assert.equal(body.retryable, false);
+  });
+
+  test('reports the Nubox "document does not exist" page as UPSTREAM_NOT_FOUND', async () => {
+    const { status, body } = await downloadPdf('/not-found');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'UPSTREAM_NOT_FOUND');
+    assert.equal(body.retryable, false);
+    assert.equal(body.attempts, 1, 'errors that are not retryable are not retried');
+    assert.deepEqual(body.capture.trace.map(({ strategy, outcome }) => ({ strategy, outcome })), [
+      { strategy: 'fast_path', outcome: 'failed' }
+    ]);
+  });
+
+  test('reports the Nubox "link expired" page as UPSTREAM_EXPIRED', async () => {
+    const { status, body } = await downloadPdf('/expired');
+
+    assert.equal(status, 410);
+    assert.equal(body.code, 'UPSTREAM_EXPIRED');
+    assert.equal(body.retryable, false);
+  });
+
+  test('leaves a "session expired" page to the browser', { timeout: BROWSER_TEST_TIMEOUT_MS }, async () => {
+    const result = await downloadPdf('/js-session');
+
+    assert.notEqual(result.body.code, 'UPSTREAM_EXPIRED');
+    if (browserUnavailable) {
+      assertFellBackToBrowser(result);
+    } else {
+      assertFixtureDownload(result);
+    }
+  });
+
+  test('leaves a 5xx "not available" page to the browser', { timeout: BROWSER_TEST_TIMEOUT_MS }, async () => {
+    const result = await downloadPdf('/server-error');
+
+    assert.notEqual(result.body.code, 'UPSTREAM_NOT_FOUND');
+    assertFellBackToBrowser(result);
+  });
+
+  test('returns a PDF without RUT or fecha unless requireMetadata is set', async () => {
+    const lenient = await downloadPdf('/no-metadata');
+    assert.equal(lenient.status, 200);
+    assert.equal(lenient.body.metadata.rut, null);
+
+    const { status, body } = await downloadPdf('/no-metadata', { requireMetadata: 'true' });
+    assert.equal(status, 422);
+    assert.equal(body.code, 'METADATA_EXTRACTION_FAILED');
+    assert.equal(body.retryable, false);
+  });
+});
+
+describe('POST /download-pdfs', () => {
+  test('downloads every URL and reports each one, in order', async () => {
+    const { status, body } = await postJson('/download-pdfs', {
+      urls: [{ id: 'invoice-1', url: `${nuboxUrl}/pdf` }, `${nuboxUrl}/expired`, 'not a url']
+    });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.success, false);
+    assert.deepEqual([body.total, body.succeeded, body.failed], [3, 1, 2]);
+    const [downloaded, expired, invalid] = body.results;
+    assert.equal(downloaded.id, 'invoice-1');
+    assertFixtureDownload({ status: 200, body: downloaded });
+    assert.deepEqual([expired.id, expired.success, expired.code], [1, false, 'UPSTREAM_EXPIRED']);
+    assert.deepEqual([invalid.id, invalid.success, invalid.code], [2, false, 'INVALID_URL']);
+  });
+
+  test('runs at most the requested concurrency at a time', async () => {
+    const startedAt = Date.now();
+    const { body } = await postJson('/download-pdfs', { urls: [`${nuboxUrl}/slow`, `${nuboxUrl}/slow`], concurrency: 1 });
+
+    assert.equal(body.succeeded, 2);
+    assert.ok(Date.now() - startedAt >= 2 * 1500, 'the slow responses were waited for one after the other');
+  });
+
+  test('rejects a missing, empty or oversized list of URLs', async () => {
+    for (const urls of [undefined, [], 'https://nubox.example/doc', new Array(51).fill(`${nuboxUrl}/pdf`)]) {
+      const { status, body } = await postJson('/download-pdfs', { urls });
+
+      assert.equal(status, 400, JSON.stringify(urls));
+      assert.equal(body.code, 'INVALID_INPUT');
+    }
+  });
+});
+
+describe('POST /jobs and GET /jobs/:id', () => {
+  test('runs a job in the background and reports its PDF', async () => {
+    const created = await postJson('/jobs', { url: `${nuboxUrl}/slow` });
+    assert.equal(created.status, 202, JSON.stringify(created.body));
+    assert.equal(created.headers.get('location'), `/jobs/${created.body.jobId}`);
+    assert.equal(created.body.statusUrl, `/jobs/${created.body.jobId}`);
+    assert.ok(['queued', 'running'].includes(created.body.status), created.body.status);
+    assert.equal(created.body.callback, null);
+
+    const running = await (await fetch(`${apiUrl}${created.body.statusUrl}`)).json();
+    assert.equal(running.status, 'running', 'the slow response is still awaited');
+
+    const job = await waitForJob(created.body.jobId);
+    assert.equal(job.status, 'succeeded');
+    assert.ok(Buffer.from(job.pdf, 'base64').equals(fixturePdf), 'the PDF bytes are the ones Nubox served');
+    assert.equal(job.metadata.rut, '48359566');
+    assert.match(job.filename, /^48359566-2025-12-15-.+\.pdf$/);
+    assert.ok(job.startedAt && job.finishedAt && job.expiresAt);
+  });
+
+  test('reports a failed job with its error code', async () => {
+    const { body } = await postJson('/jobs', { url: `${nuboxUrl}/not-found` });
+    const job = await waitForJob(body.jobId);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.code, 'UPSTREAM_NOT_FOUND');
+    assert.equal(job.retryable, false);
+  });
+
+  test('rejects an invalid job, and a callbackUrl without WEBHOOK_SECRET', async () => {
+    assert.equal((await postJson('/jobs', {})).status, 400);
+    assert.equal((await postJson('/jobs', { url: `${nuboxUrl}/pdf`, type: 'html' })).status, 400);
+    const { status, body } = await postJson('/jobs', { url: `${nuboxUrl}/pdf`, callbackUrl: 'https://hooks.example.com/nubox' });
+    assert.equal(status, 400);
+    assert.match(body.message, /WEBHOOK_SECRET/);
+  });
+
+  test('answers 404 for an unknown job', async () => {
+    const response = await fetch(`${apiUrl}/jobs/does-not-exist`);
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('/download-pdf with type=xml|both (fast path)', () => {
+  test('returns the XML DTE instead of the PDF with type=xml', async () => {
+    const { status, body } = await downloadPdf('/pdf', { type: 'xml' });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.pdf, undefined);
+    assertFixtureXml(body.xml);
+    assert.equal(body.xml.capture.strategy, 'fast_path');
+    assert.equal(body.xml.storage.key, `76543212K/2025/12/${body.xml.filename}`);
+    assert.ok(fs.readFileSync(path.join(storageDir, '76543212K', '2025', '12', body.xml.filename)).equals(fixtureXml));
+  });
+
+  test('returns the PDF and the XML DTE with type=both', async () => {
+    const result = await downloadPdf('/pdf', { type: 'both' });
+
+    assertFixtureDownload(result);
+    assertFixtureXml(result.body.xml);
+  });
+
+  test('downloads a direct XML link', async () => {
+    const { status, body } = await downloadPdf('/direct.xml', { type: 'xml' });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assertFixtureXml(body.xml);
+  });
+
+  test('returns the raw XML with type=xml and format=binary', async () => {
+    const params = new URLSearchParams({ url: `${nuboxUrl}/pdf`, type: 'xml', format: 'binary' });
+    const response = await fetch(`${apiUrl}/download-pdf?${params}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/xml');
+    assert.ok(Buffer.from(await response.arrayBuffer()).equals(fixtureXml));
+  });
+
+  test('rejects an unknown type, and type=both as binary', async () => {
+    const unknown = await downloadPdf('/pdf', { type: 'html' });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'INVALID_TYPE');
+
+    const both = await downloadPdf('/pdf', { type: 'both', format: 'binary' });
+    assert.equal(both.status, 400);
+    assert.equal(both.body.code, 'INVALID_TYPE');
+  });
+});
+
+describe('download history', () => {
+  async function getJson(path) {
+    const response = await fetch(`${apiUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('records a successful download with its metadata', async () => {
+    const download = await downloadPdf('/pdf');
+    const { status, body } = await getJson(`/downloads/${download.body.downloadId}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'success');
+    assert.equal(body.url, `${nuboxUrl}/pdf`);
+    assert.equal(body.filename, download.body.filename);
+    assert.equal(body.contentHash, download.body.contentHash);
+    assert.equal(body.strategy, 'fast_path');
+    assert.equal(body.storageKey, download.body.storage.key);
+    assert.equal(body.metadata.folio, 12345);
+    assert.equal(body.errorCode, null);
+  });
+
+  test('records a failed download with its error code', async () => {
+    const download = await downloadPdf('/expired');
+    const { body } = await getJson(`/downloads/${download.body.downloadId}`);
+
+    assert.equal(body.status, 'error');
+    assert.equal(body.errorCode, 'UPSTREAM_EXPIRED');
+    assert.equal(body.metadata, null);
+  });
+
+  test('records an XML DTE download with its format', async () => {
+    const download = await downloadPdf('/pdf', { type: 'xml' });
+    const { body } = await getJson(`/downloads/${download.body.xml.downloadId}`);
+
+    assert.equal(body.status, 'success');
+    assert.equal(body.format, 'xml');
+    assert.equal(body.filename, download.body.xml.filename);
+    assert.equal(body.metadata.detalle.length, 2);
+
+    const xmlOnly = await getJson('/downloads?format=xml');
+    assert.ok(xmlOnly.body.total > 0);
+    assert.ok(xmlOnly.body.downloads.every(record => record.format === 'xml'));
+  });
+
+  test('keeps and records the PDF when only the XML DTE of type=both fails', { timeout: BROWSER_TEST_TIMEOUT_MS }, async () => {
+    const { status, body } = await downloadPdf('/direct.pdf', { type: 'both', strategies: 'initial_response' });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(Buffer.from(body.pdf, 'base64').equals(fixturePdf));
+    assert.equal(body.xml, null);
+    assert.ok(['XML_NOT_FOUND', 'BROWSER_LAUNCH_FAILED'].includes(body.xmlError.code), body.xmlError.code);
+
+    const pdfRecord = await getJson(`/downloads/${body.downloadId}`);
+    assert.equal(pdfRecord.body.status, 'success');
+    const xmlRecord = await getJson(`/downloads/${body.xmlError.downloadId}`);
+    assert.equal(xmlRecord.body.status, 'error');
+    assert.equal(xmlRecord.body.format, 'xml');
+  });
+
+  test('filters by RUT, status, document type and date, newest first', async () => {
+    const today = new Date().toISOString().substring(0, 10);
+    const { body } = await getJson(`/downloads?rut=76.543.212-K&status=success&documentType=factura&from=${today}&to=${today}`);
+
+    assert.ok(body.total > 0);
+    assert.ok(body.downloads.every(record => record.status === 'success' && record.metadata.emisorRut === '76543212K'));
+    const times = body.downloads.map(record => record.createdAt);
+    assert.deepEqual(times, [...times].sort().reverse());
+
+    const emittedLater = await getJson('/downloads?emittedFrom=2026-01-01');
+    assert.equal(emittedLater.body.total, 0);
+  });
+
+  test('paginates with limit and offset', async () => {
+    const all = await getJson('/downloads?limit=500');
+    const page = await getJson('/downloads?limit=1&offset=1');
+
+    assert.equal(page.body.total, all.body.total);
+    assert.equal(page.body.downloads.length, 1);
+    assert.equal(page.body.downloads[0].id, all.body.downloads[1].id);
+  });
+
+  test('rejects an invalid filter and an unknown ID', async () => {
+    assert.equal((await getJson('/downloads?status=pending')).status, 400);
+    assert.equal((await getJson('/downloads?format=html')).status, 400);
+    assert.equal((await getJson('/downloads?from=yesterday')).status, 400);
+    assert.equal((await getJson('/downloads/does-not-exist')).status, 404);
+  });
+});
+
+describe('/metrics', () => {
+  // The samples of the exposition, by series name with its labels
+  async function scrapeMetrics() {
+    const response = await fetch(`${apiUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await response.text();
+    const samples = new Map();
+    for (const line of text.split('\n').filter(line => line && !line.startsWith('#'))) {
+      const match = line.match(/^([a-z_]+(?:\{[^}]*\})?) (\S+)$/);
+      assert.ok(match, `not a sample line: ${line}`);
+      samples.set(match[1], Number(match[2]));
+    }
+    return { text, samples };
+  }
+
+  test('serves every metric with its HELP and TYPE lines', async () => {
+    const { text } = await scrapeMetrics();
+
+    for (const [name, type] of [
+      ['nubox_pdf_downloads_total', 'counter'],
+      ['nubox_pdf_capture_duration_seconds', 'histogram'],
+      ['nubox_pdf_size_bytes', 'histogram'],
+      ['nubox_pdf_capture_path_total', 'counter'],
+      ['nubox_pdf_browser_open_pages', 'gauge'],
+      ['nubox_pdf_browser_waiting_requests', 'gauge']
+    ]) {
+      assert.match(text, new RegExp(`^# HELP ${name} .+$`, 'm'), name);
+      assert.match(text, new RegExp(`^# TYPE ${name} ${type}$`, 'm'), name);
+    }
+  });
+
+  test('counts downloads by outcome and captures by path', async () => {
+    const before = (await scrapeMetrics()).samples;
+    await downloadPdf('/direct.pdf');
+    await downloadPdf('/expired');
+    const after = (await scrapeMetrics()).samples;
+    const increase = series => (after.get(series) || 0) - (before.get(series) || 0);
+
+    assert.equal(increase('nubox_pdf_downloads_total{outcome="success"}'), 1);
+    assert.equal(increase('nubox_pdf_downloads_total{outcome="error"}'), 1);
+    assert.equal(increase('nubox_pdf_capture_path_total{path="fast_path"}'), 1);
+    assert.equal(increase('nubox_pdf_size_bytes_count'), 1);
+    assert.equal(increase('nubox_pdf_size_bytes_sum'), fixturePdf.length);
+    assert.equal(increase('nubox_pdf_size_bytes_bucket{le="+Inf"}'), 1);
+    assert.equal(after.get('nubox_pdf_browser_open_pages'), 0);
+  });
+});
+
+describe('X-Request-Id', () => {
+  test('echoes a valid incoming ID and generates one otherwise', async () => {
+    const echoed = await downloadPdf('/direct.pdf', {}, { 'X-Request-Id': 'client-req-42' });
+    const generated = await downloadPdf('/direct.pdf');
+    const replaced = await downloadPdf('/direct.pdf', {}, { 'X-Request-Id': 'not valid!' });
+
+    assert.equal(echoed.headers.get('x-request-id'), 'client-req-42');
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  test('is set on a request whose JSON body is malformed', async () => {
+    const response = await fetch(`${apiUrl}/download-pdfs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'client-req-43' },
+      body: '{"urls": ['
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.code, 'INVALID_INPUT');
+    assert.equal(response.headers.get('x-request-id'), 'client-req-43');
+  });
+});
+
+describe('Idempotency-Key', () => {
+  // Number of PDF responses fake Nubox has served for a scenario
+  const pdfRequests = scenario => fakeNubox.requests.filter(({ path }) => path === `/${scenario}/descarga.asp`).length;
+
+  test('replays the original response for a repeated key', async () => {
+    const headers = { 'Idempotency-Key': 'replay-1' };
+    const first = await downloadPdf('/octet-stream', {}, headers);
+    const servedBefore = pdfRequests('octet-stream');
+    const repeat = await downloadPdf('/octet-stream', {}, headers);
+
+    assertFixtureDownload(repeat);
+    assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+    assert.equal(repeat.body.downloadId, first.body.downloadId);
+    assert.equal(pdfRequests('octet-stream'), servedBefore, 'Nubox was not asked again');
+  });
+
+  test('attaches a repeat to the original while it is still running', async () => {
+    const headers = { 'Idempotency-Key': 'attach-1' };
+    const servedBefore = pdfRequests('slow');
+    const [first, repeat] = await Promise.all([
+      downloadPdf('/slow', {}, headers),
+      new Promise(resolve => setTimeout(resolve, 200)).then(() => downloadPdf('/slow', {}, headers))
+    ]);
+
+    assertFixtureDownload(first);
+    assertFixtureDownload(repeat);
+    assert.equal(repeat.body.downloadId, first.body.downloadId);
+    assert.equal(pdfRequests('slow'), servedBefore + 1);
+  });
+
+  test('rejects a key reused for a different request', async () => {
+    const headers = { 'Idempotency-Key': 'reuse-1' };
+    await downloadPdf('/direct.pdf', {}, headers);
+    const { status, body } = await downloadPdf('/pdf', {}, headers);
+
+    assert.equal(status, 422);
+    assert.equal(body.code, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('rejects a key reused for a different POST body', async () => {
+    const headers = { 'Idempotency-Key': 'reuse-2' };
+    await postJson('/download-pdfs', { urls: [`${nuboxUrl}/direct.pdf`] }, headers);
+    const { status, body } = await postJson('/download-pdfs', { urls: [`${nuboxUrl}/octet-stream`] }, headers);
+
+    assert.equal(status, 422);
+    assert.equal(body.code, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('replays a batch without downloading it again', async () => {
+    const headers = { 'Idempotency-Key': 'batch-1' };
+    const batch = { urls: [`${nuboxUrl}/octet-stream`] };
+    const first = await postJson('/download-pdfs', batch, headers);
+    const servedBefore = pdfRequests('octet-stream');
+    const repeat = await postJson('/download-pdfs', batch, headers);
+
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(repeat.body, first.body);
+    assert.equal(pdfRequests('octet-stream'), servedBefore);
+  });
+
+  test('returns the original job for a repeated POST /jobs, which runs once', async () => {
+    const headers = { 'Idempotency-Key': 'job-1' };
+    const servedBefore = pdfRequests('slow');
+    const first = await postJson('/jobs', { url: `${nuboxUrl}/slow` }, headers);
+    const repeat = await postJson('/jobs', { url: `${nuboxUrl}/slow` }, headers);
+
+    assert.equal(first.status, 202);
+    assert.equal(repeat.status, 202);
+    assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+    assert.equal(repeat.body.jobId, first.body.jobId);
+    assert.equal((await waitForJob(first.body.jobId)).status, 'succeeded');
+    assert.equal(pdfRequests('slow'), servedBefore + 1, 'a single job reached Nubox');
+
+    const reused = await postJson('/jobs', { url: `${nuboxUrl}/pdf` }, headers);
+    assert.equal(reused.status, 422);
+  });
+
+  test('drops the least recently used responses over IDEMPOTENCY_MAX_BYTES', async () => {
+    const download = key => downloadPdf('/direct.pdf', {}, { 'Idempotency-Key': key });
+    await download('evict-1');
+    await download('evict-2');
+    assert.equal((await download('evict-1')).headers.get('idempotent-replayed'), 'true');
+    await download('evict-3');
+
+    const kept = await download('evict-1');
+    const dropped = await download('evict-2');
+    assertFixtureDownload(dropped);
+    assert.equal(kept.headers.get('idempotent-replayed'), 'true');
+    assert.equal(dropped.headers.get('idempotent-replayed'), null, 'evict-2 was downloaded again');
+  });
+
+  test('drops a batch response over IDEMPOTENCY_MAX_BYTES too', async () => {
+    const batch = key => postJson('/download-pdfs', { urls: [`${nuboxUrl}/direct.pdf`] }, { 'Idempotency-Key': key });
+    await batch('evict-batch-1');
+    await downloadPdf('/direct.pdf', {}, { 'Idempotency-Key': 'evict-batch-2' });
+    await downloadPdf('/direct.pdf', {}, { 'Idempotency-Key': 'evict-batch-3' });
+
+    const dropped = await batch('evict-batch-1');
+    assert.equal(dropped.status, 200);
+    assert.equal(dropped.body.succeeded, 1);
+    assert.equal(dropped.headers.get('idempotent-replayed'), null, 'the batch was downloaded again');
+  });
+});
+
+describe('/download-pdf with headless Chromium', () => {
+  test('captures a PDF posted by the auto-submitted form', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const result = await downloadPdf('/pdf', { fastPath: 'false' });
+
+    assertFixtureDownload(result);
+    assert.notEqual(result.body.capture.strategy, 'fast_path');
+    assert.ok(result.body.capture.trace.length > 0);
+  });
+
+  test('captures the XML DTE by submitting the form with formato=xml', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const { status, body } = await downloadPdf('/pdf', { fastPath: 'false', type: 'xml' });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assertFixtureXml(body.xml);
+    assert.notEqual(body.xml.capture.strategy, 'fast_path');
+  });
+
+  test('captures a PDF sent as application/octet-stream', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const result = await downloadPdf('/octet-stream', { fastPath: 'false' });
+
+    assertFixtureDownload(result);
+  });
+
+  test('captures a direct PDF link from the initial response', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const result = await downloadPdf('/direct.pdf', { fastPath: 'false', strategies: 'initial_response' });
+
+    assertFixtureDownload(result);
+    assert.equal(result.body.capture.strategy, 'initial_response');
+  });
+
+  test('waits for a slow response', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const result = await downloadPdf('/slow', { fastPath: 'false' });
+
+    assertFixtureDownload(result);
+  });
+
+  test('reports a PDF Content-Type with an HTML body as NOT_A_PDF', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const { status, body } = await downloadPdf('/html-as-pdf');
+
+    assert.equal(status, 502);
+    assert.equal(body.code, 'NOT_A_PDF');
+    assert.equal(body.retryable, false);
+    assert.equal(body.capture.strategy, null);
+  });
+
+  test('reports a Nubox 500 page as a retryable UPSTREAM_ERROR', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const { status, body } = await downloadPdf('/server-error');
+
+    assert.equal(status, 502);
+    assert.equal(body.code, 'UPSTREAM_ERROR');
+    assert.equal(body.retryable, true);
+    assert.equal(body.attempts, 2);
+  });
+
+  test('retries a transient Nubox error within the request', { timeout: BROWSER_TEST_TIMEOUT_MS }, async (t) => {
+    if (browserUnavailable) return t.skip(browserUnavailable);
+    const result = await downloadPdf('/flaky', { fastPath: 'false' });
+
+    assertFixtureDownload(result);
+    assert.equal(result.body.attempts, 2);
+  });
+});
@@ -0,0 +1,114 @@
+// Response size tests: the API runs with MAX_PDF_BYTES set to the size of the fixture PDF,
+// against the fake Nubox server and a local server that streams larger PDFs.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createFakeNubox } = require('../fake-nubox/server');
+const { buildDtePdf } = require('../fake-nubox/dte-pdf');
+
+const fixturePdf = buildDtePdf();
+
+// The server reads its configuration when it is loaded
+process.env.ALLOWED_HOSTS = '127.0.0.1';
+process.env.ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.CACHE_BACKEND = 'none';
+process.env.DIAGNOSTICS_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STORAGE_BACKEND = 'none';
+process.env.HISTORY_DB_PATH = ':memory:';
+process.env.MAX_PDF_BYTES = String(fixturePdf.length);
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_FILE;
+
+const { app, closeBrowser } = require('../server');
+
+const fakeNubox = createFakeNubox({ pdf: fixturePdf });
+
+// Streams the fixture twice over, in small chunks: /declared with its Content-Length,
+// /chunked without one. Records whether each response got to its end
+const oversizedResponses = []; // { path, completed, closed }
+const oversizedServer = http.createServer((req, res) => {
+  const body = Buffer.concat([fixturePdf, fixturePdf]);
+  const record = { path: req.url, completed: false };
+  record.closed = new Promise(resolve => res.on('close', resolve));
+  oversizedResponses.push(record);
+  res.writeHead(200, {
+    'Content-Type': 'application/pdf',
+    ...(req.url === '/declared' ? { 'Content-Length': body.length } : {})
+  });
+
+  let offset = 0;
+  const writeNext = () => {
+    if (res.destroyed) return;
+    if (offset >= body.length) {
+      record.completed = true;
+      return res.end();
+    }
+    res.write(body.subarray(offset, offset + 16 * 1024));
+    offset += 16 * 1024;
+    setTimeout(writeNext, 20);
+  };
+  writeNext();
+});
+let nuboxUrl;
+let oversizedUrl;
+let apiServer;
+let apiUrl;
+
+before(async () => {
+  nuboxUrl = await fakeNubox.listen();
+  await new Promise(resolve => oversizedServer.listen(0, '127.0.0.1', resolve));
+  oversizedUrl = `http://127.0.0.1:${oversizedServer.address().port}`;
+  await new Promise(resolve => {
+    apiServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+  await closeBrowser();
+  await new Promise(resolve => apiServer.close(resolve));
+  await new Promise(resolve => oversizedServer.close(resolve));
+  await fakeNubox.close();
+});
+
+async function downloadPdf(url) {
+  const response = await fetch(`${apiUrl}/download-pdf?${new URLSearchParams({ url })}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// Wait for the last oversized response to end, and tell whether it was cut off
+async function lastResponseCutOff() {
+  const record = oversizedResponses.at(-1);
+  await record.closed;
+  return !record.completed;
+}
+
+describe('MAX_PDF_BYTES', () => {
+  test('accepts a PDF of exactly MAX_PDF_BYTES', async () => {
+    const { status, body } = await downloadPdf(`${nuboxUrl}/pdf`);
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(Buffer.from(body.pdf, 'base64').equals(fixturePdf));
+  });
+
+  test('refuses a larger Content-Length without reading the body', async () => {
+    const { status, body } = await downloadPdf(`${oversizedUrl}/declared`);
+
+    assert.equal(status, 502, JSON.stringify(body));
+    assert.equal(body.code, 'PDF_TOO_LARGE');
+    assert.equal(body.retryable, false);
+    assert.match(body.message, new RegExp(`of ${2 * fixturePdf.length} bytes`));
+    assert.equal(await lastResponseCutOff(), true, 'the response was cut off');
+  });
+
+  test('stops reading a body without Content-Length once it passes the limit', async () => {
+    const { status, body } = await downloadPdf(`${oversizedUrl}/chunked`);
+
+    assert.equal(status, 502, JSON.stringify(body));
+    assert.equal(body.code, 'PDF_TOO_LARGE');
+    assert.equal(await lastResponseCutOff(), true, 'the response was cut off');
+  });
+});
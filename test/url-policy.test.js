@@ -0,0 +1,200 @@
+// URL policy tests: the SSRF protection, with private addresses blocked as in production.
+// Nothing here may reach the local receiver server: every request to it is a failure.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+
+// The server reads its configuration when it is loaded
+process.env.ALLOWED_HOSTS = 'nubox.example,*.nubox.example,localhost';
+delete process.env.ALLOW_PRIVATE_ADDRESSES;
+process.env.CACHE_BACKEND = 'none';
+process.env.DIAGNOSTICS_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STORAGE_BACKEND = 'none';
+process.env.HISTORY_DB_PATH = ':memory:';
+process.env.WEBHOOK_SECRET = 'url-policy-secret';
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_FILE;
+
+const { app, closeBrowser, isPrivateAddress, checkUrlPolicy } = require('../server');
+
+// A host that answers the URL policy check with a public address, and the connection that
+// follows with loopback (DNS rebinding)
+const REBINDING_HOST = 'rebind.nubox.example';
+const realLookup = dns.lookup;
+const realPromisesLookup = dns.promises.lookup;
+
+const receivedRequests = [];
+const receiver = http.createServer((req, res) => {
+  receivedRequests.push(req.url);
+  res.end();
+});
+let receiverPort;
+let apiServer;
+let apiUrl;
+
+before(async () => {
+  dns.promises.lookup = (hostname, options) => {
+    if (hostname !== REBINDING_HOST) return realPromisesLookup.call(dns.promises, hostname, options);
+    const address = { address: '93.184.215.14', family: 4 };
+    return Promise.resolve(options && options.all ? [address] : address);
+  };
+  dns.lookup = (hostname, options, callback) => realLookup.call(dns, hostname === REBINDING_HOST ? '127.0.0.1' : hostname, options, callback);
+
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverPort = receiver.address().port;
+  await new Promise(resolve => {
+    apiServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+  dns.lookup = realLookup;
+  dns.promises.lookup = realPromisesLookup;
+  await closeBrowser();
+  await new Promise(resolve => apiServer.close(resolve));
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+async function downloadPdf(url) {
+  const response = await fetch(`${apiUrl}/download-pdf?${new URLSearchParams({ url })}`);
+  return { status: response.status, body: await response.json() };
+}
+
+async function createJob(body) {
+  const response = await fetch(`${apiUrl}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Poll a job until its webhook is delivered or given up
+async function waitForCallback(jobId) {
+  for (let i = 0; i < 100; i++) {
+    const { callback } = await (await fetch(`${apiUrl}/jobs/${jobId}`)).json();
+    if (['delivered', 'failed'].includes(callback.status)) return callback;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`The webhook of job ${jobId} was still pending`);
+}
+
+// The code of the UrlPolicyError checkUrlPolicy throws for url, or null
+function policyCode(url, options) {
+  try {
+    checkUrlPolicy(url, options);
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+describe('isPrivateAddress', () => {
+  test('blocks private, loopback, link-local and reserved IPv4 addresses', () => {
+    for (const address of ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.168.1.1', '198.18.0.1', '224.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['1.1.1.1', '8.8.8.8', '172.32.0.1', '200.1.2.3']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  test('blocks loopback, unique local, link-local and multicast IPv6 addresses', () => {
+    for (const address of ['::', '::1', 'fd00::1', 'fe80::1', 'fe80::1%eth0', 'ff02::1', '2001:db8::1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    assert.equal(isPrivateAddress('2606:4700:4700::1111'), false);
+  });
+
+  test('judges IPv6 addresses that carry an IPv4 address by that address', () => {
+    const embedded = {
+      '::ffff:127.0.0.1': true, // IPv4-mapped
+      '::ffff:7f00:1': true,
+      '::ffff:8.8.8.8': false,
+      '::127.0.0.1': true, // IPv4-compatible
+      '::ffff:0:a00:1': true, // IPv4-translated
+      '64:ff9b::7f00:1': true, // NAT64
+      '64:ff9b::169.254.169.254': true,
+      '64:ff9b::808:808': false,
+      '64:ff9b:1::808:808': true, // local-use NAT64
+      '2002:7f00:1::': true, // 6to4
+      '2002:c0a8:101::1': true,
+      '2002:808:808::1': false,
+      '2001:0:a00:1::1': true, // Teredo, private server
+      '2001:0:4136:e378:8000:63bf:80ff:fffe': true, // Teredo, client 127.0.0.1
+      '2001:0:4136:e378:8000:63bf:f7f7:f7f7': false // Teredo, client 8.8.8.8
+    };
+    for (const [address, blocked] of Object.entries(embedded)) {
+      assert.equal(isPrivateAddress(address), blocked, address);
+    }
+  });
+});
+
+describe('checkUrlPolicy', () => {
+  test('accepts only http and https URLs', () => {
+    assert.equal(policyCode('ftp://nubox.example/doc'), 'UNSUPPORTED_URL_SCHEME');
+    assert.equal(policyCode('file:///etc/passwd'), 'UNSUPPORTED_URL_SCHEME');
+    assert.equal(policyCode('https://nubox.example/doc'), null);
+  });
+
+  test('accepts only the hosts of ALLOWED_HOSTS, unless anyHost is set', () => {
+    assert.equal(policyCode('https://docs.nubox.example/doc'), null);
+    assert.equal(policyCode('https://NUBOX.example./doc'), null);
+    assert.equal(policyCode('https://evilnubox.example/doc'), 'HOST_NOT_ALLOWED');
+    assert.equal(policyCode('https://nubox.example.evil.test/doc'), 'HOST_NOT_ALLOWED');
+    assert.equal(policyCode('https://hooks.example.com/nubox', { anyHost: true }), null);
+  });
+
+  test('blocks literal private addresses on any host', () => {
+    for (const host of ['127.0.0.1', '169.254.169.254', '[::1]', '[::ffff:127.0.0.1]', '[64:ff9b::a9fe:a9fe]', '[2002:7f00:1::]']) {
+      assert.equal(policyCode(`http://${host}/hook`, { anyHost: true }), 'PRIVATE_ADDRESS_BLOCKED', host);
+    }
+  });
+});
+
+describe('private addresses on the API', () => {
+  test('refuses an allowed host that resolves to loopback', async () => {
+    const { status, body } = await downloadPdf(`http://localhost:${receiverPort}/pdf`);
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'PRIVATE_ADDRESS_BLOCKED');
+    assert.deepEqual(receivedRequests, []);
+  });
+
+  test('refuses a host that resolves to loopback after the check (DNS rebinding)', async () => {
+    const { status, body } = await downloadPdf(`http://${REBINDING_HOST}:${receiverPort}/pdf`);
+
+    assert.equal(status, 403, JSON.stringify(body));
+    assert.equal(body.code, 'PRIVATE_ADDRESS_BLOCKED');
+    assert.match(body.message, /127\.0\.0\.1/);
+    assert.deepEqual(receivedRequests, []);
+  });
+
+  test('rejects a private callbackUrl when the job is created', async () => {
+    for (const callbackUrl of [`http://127.0.0.1:${receiverPort}/hook`, `http://localhost:${receiverPort}/hook`, 'http://[::1]/hook', 'http://169.254.169.254/latest/meta-data/']) {
+      const { status, body } = await createJob({ url: 'https://nubox.example/doc', callbackUrl });
+
+      assert.equal(status, 403, callbackUrl);
+      assert.equal(body.code, 'PRIVATE_ADDRESS_BLOCKED');
+    }
+    assert.deepEqual(receivedRequests, []);
+  });
+
+  test('does not deliver a webhook to a host that resolves to loopback after the check', async () => {
+    const { status, body } = await createJob({
+      url: `http://${REBINDING_HOST}:${receiverPort}/pdf`,
+      callbackUrl: `http://${REBINDING_HOST}:${receiverPort}/hook`
+    });
+    assert.equal(status, 202, JSON.stringify(body));
+
+    const callback = await waitForCallback(body.jobId);
+    assert.equal(callback.status, 'failed');
+    assert.equal(callback.attempts, 1, 'a blocked delivery is not retried');
+    assert.match(callback.lastError, /private address 127\.0\.0\.1/);
+    assert.deepEqual(receivedRequests, []);
+  });
+});
@@ -0,0 +1,165 @@
+// Webhook tests: jobs with a callbackUrl deliver their result to a local receiver server,
+// which checks the signature and fails on purpose to exercise the retries.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// The server reads its configuration when it is loaded
+const WEBHOOK_SECRET = 'webhook-test-secret';
+const WEBHOOK_BACKOFF_MS = 100;
+process.env.ALLOWED_HOSTS = '127.0.0.1';
+process.env.ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.CACHE_BACKEND = 'none';
+process.env.DIAGNOSTICS_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STORAGE_BACKEND = 'none';
+process.env.HISTORY_DB_PATH = ':memory:';
+process.env.WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_BACKOFF_MS = String(WEBHOOK_BACKOFF_MS);
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_FILE;
+
+const { createFakeNubox } = require('../fake-nubox/server');
+const { buildDtePdf } = require('../fake-nubox/dte-pdf');
+const { app, closeBrowser } = require('../server');
+
+const fixturePdf = buildDtePdf();
+const fakeNubox = createFakeNubox({ pdf: fixturePdf });
+
+// The receiver answers /hook/<n> with 500 to the first n deliveries of each job, then 200
+const deliveries = []; // { path, headers, body, receivedAt }
+const receiver = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const delivery = { path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString(), receivedAt: Date.now() };
+    deliveries.push(delivery);
+    const failures = Number(req.url.split('/')[2]);
+    const earlier = deliveries.filter(({ path, headers }) => path === req.url && headers['x-webhook-id'] === req.headers['x-webhook-id']);
+    res.writeHead(earlier.length <= failures ? 500 : 200).end();
+  });
+});
+let nuboxUrl;
+let receiverUrl;
+let apiServer;
+let apiUrl;
+
+before(async () => {
+  nuboxUrl = await fakeNubox.listen();
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  await new Promise(resolve => {
+    apiServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+  await closeBrowser();
+  await new Promise(resolve => apiServer.close(resolve));
+  await new Promise(resolve => receiver.close(resolve));
+  await fakeNubox.close();
+});
+
+async function createJob(body) {
+  const response = await fetch(`${apiUrl}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const job = await response.json();
+  assert.equal(response.status, 202, JSON.stringify(job));
+  return job;
+}
+
+// Poll a job until its webhook is delivered or given up
+async function waitForCallback(jobId) {
+  for (let i = 0; i < 100; i++) {
+    const { callback } = await (await fetch(`${apiUrl}/jobs/${jobId}`)).json();
+    if (['delivered', 'failed'].includes(callback.status)) return callback;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`The webhook of job ${jobId} was still pending`);
+}
+
+const deliveriesOf = jobId => deliveries.filter(({ headers }) => headers['x-webhook-id'] === jobId);
+
+// Check a delivery the way the README tells receivers to
+function assertSigned({ headers, body }) {
+  const expected = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(headers['x-webhook-timestamp'])) < 60, 'the timestamp is current');
+}
+
+describe('job webhooks', () => {
+  test('delivers the signed result of a successful job', async () => {
+    const { jobId, callback } = await createJob({ url: `${nuboxUrl}/pdf`, callbackUrl: `${receiverUrl}/hook/0` });
+    assert.equal(callback.status, 'waiting');
+
+    const delivered = await waitForCallback(jobId);
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.attempts, 1);
+    assert.ok(delivered.deliveredAt);
+
+    const [delivery] = deliveriesOf(jobId);
+    assert.equal(delivery.headers['content-type'], 'application/json');
+    assert.equal(delivery.headers['x-webhook-attempt'], '1');
+    assertSigned(delivery);
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.jobId, jobId);
+    assert.equal(payload.url, `${nuboxUrl}/pdf`);
+    assert.equal(payload.success, true);
+    assert.ok(Buffer.from(payload.pdf, 'base64').equals(fixturePdf));
+    assert.equal(payload.metadata.rut, '48359566');
+  });
+
+  test('delivers the error of a failed job', async () => {
+    const { jobId } = await createJob({ url: `${nuboxUrl}/not-found`, callbackUrl: `${receiverUrl}/hook/0` });
+    await waitForCallback(jobId);
+
+    const [delivery] = deliveriesOf(jobId);
+    assertSigned(delivery);
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.success, false);
+    assert.equal(payload.code, 'UPSTREAM_NOT_FOUND');
+  });
+
+  test('retries a failed delivery with a doubling backoff, signing each attempt', async () => {
+    const { jobId } = await createJob({ url: `${nuboxUrl}/pdf`, callbackUrl: `${receiverUrl}/hook/2` });
+
+    const callback = await waitForCallback(jobId);
+    assert.equal(callback.status, 'delivered');
+    assert.equal(callback.attempts, 3);
+    assert.equal(callback.lastError, null);
+
+    const attempts = deliveriesOf(jobId);
+    assert.deepEqual(attempts.map(({ headers }) => headers['x-webhook-attempt']), ['1', '2', '3']);
+    attempts.forEach(assertSigned);
+    assert.ok(attempts[1].receivedAt - attempts[0].receivedAt >= WEBHOOK_BACKOFF_MS - 10);
+    assert.ok(attempts[2].receivedAt - attempts[1].receivedAt >= 2 * WEBHOOK_BACKOFF_MS - 10);
+  });
+
+  test('gives up after WEBHOOK_MAX_ATTEMPTS failed deliveries', async () => {
+    const { jobId } = await createJob({ url: `${nuboxUrl}/pdf`, callbackUrl: `${receiverUrl}/hook/9` });
+
+    const callback = await waitForCallback(jobId);
+    assert.equal(callback.status, 'failed');
+    assert.equal(callback.attempts, 3);
+    assert.equal(callback.lastError, 'HTTP 500');
+    assert.equal(deliveriesOf(jobId).length, 3);
+  });
+
+  test('rejects a callbackUrl that is not http(s)', async () => {
+    const response = await fetch(`${apiUrl}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: `${nuboxUrl}/pdf`, callbackUrl: 'ftp://hooks.example.com/nubox' })
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'INVALID_INPUT');
+  });
+});